@@ -1,280 +1,4092 @@
 #!/usr/bin/env node
 
 import fs from 'fs/promises';
+import { constants, createReadStream, realpathSync, watch } from 'fs';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
 
-// German month names for parsing
+// Locale packs with month names for parsing, select with `--locale` / `options.locales`.
+// Each pack has:
+// - `months`: month names and abbreviations (lowercase, including spellings without accents or umlauts) -> month number
+// - `ordinals`: regex for suffixes of ordinal day numbers, e.g. "10th" or "1er"
+// - `connectors`: words between day and month name, e.g. "10th of March" or "10 de marzo"
+// - `monthFirst`: whether dates are also written with the month name first, e.g. "Sep 10"
+// - `timeConnectors`: words between date and time of day, e.g. "2023-07-10 at 14.30.05"
+// - `weekWords`: words for a calendar week, e.g. "KW 12 2024"
+// - `quarterWords`: words for a quarter, e.g. "3. Quartal 2023"
+// - `prepositions`: words left dangling when the date after them is removed, e.g. "Notizen vom 10.09.2023"
+// - `rangeWords`: words between start and end of a date range, e.g. "18 bis 19.06.2022"
 // noinspection JSNonASCIINames
-const GERMAN_MONTHS = {
-  'januar': '01', 'februar': '02', 'märz': '03', 'april': '04',
-  'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
-  'september': '09', 'oktober': '10', 'november': '11', 'dezember': '12',
-  'jan': '01', 'feb': '02', 'mär': '03', 'apr': '04',
-  // 'mai': '05', // dup: has only 3 letters :-)
-  'jun': '06', 'jul': '07', 'aug': '08',
-  'sep': '09', 'sept': '09', 'okt': '10', 'nov': '11', 'dez': '12'
+const LOCALES = {
+  de: {
+    months: {
+      'januar': '01', 'februar': '02', 'märz': '03', 'april': '04',
+      'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
+      'september': '09', 'oktober': '10', 'november': '11', 'dezember': '12',
+      'jänner': '01', 'maerz': '03', 'marz': '03',
+      'jan': '01', 'jän': '01', 'feb': '02', 'mär': '03', 'mrz': '03', 'apr': '04',
+      // 'mai': '05', // dup: has only 3 letters :-)
+      'jun': '06', 'jul': '07', 'aug': '08',
+      'sep': '09', 'sept': '09', 'okt': '10', 'nov': '11', 'dez': '12'
+    },
+    ordinals: [],
+    connectors: [],
+    timeConnectors: ['um'],
+    weekWords: ['kw', 'woche'],
+    quarterWords: ['quartal'],
+    prepositions: ['vom', 'von', 'am', 'ab', 'bis', 'seit', 'zum', 'stand'],
+    rangeWords: ['bis']
+  },
+  en: {
+    months: {
+      'january': '01', 'february': '02', 'march': '03', 'april': '04',
+      'may': '05', 'june': '06', 'july': '07', 'august': '08',
+      'september': '09', 'october': '10', 'november': '11', 'december': '12',
+      'jan': '01', 'feb': '02', 'mar': '03', 'apr': '04',
+      'jun': '06', 'jul': '07', 'aug': '08',
+      'sep': '09', 'sept': '09', 'oct': '10', 'nov': '11', 'dec': '12'
+    },
+    ordinals: ['st', 'nd', 'rd', 'th'],
+    connectors: ['of'],
+    monthFirst: true,
+    timeConnectors: ['at'],
+    weekWords: ['cw', 'wk', 'week'],
+    quarterWords: ['quarter'],
+    prepositions: ['from', 'dated', 'on', 'of', 'as of', 'at', 'since', 'until'],
+    rangeWords: ['to', 'until', 'till']
+  },
+  fr: {
+    months: {
+      'janvier': '01', 'février': '02', 'mars': '03', 'avril': '04',
+      'mai': '05', 'juin': '06', 'juillet': '07', 'août': '08',
+      'septembre': '09', 'octobre': '10', 'novembre': '11', 'décembre': '12',
+      'fevrier': '02', 'aout': '08', 'decembre': '12',
+      'janv': '01', 'févr': '02', 'fevr': '02', 'fév': '02', 'fev': '02', 'avr': '04',
+      'juil': '07', 'sept': '09', 'oct': '10', 'nov': '11', 'déc': '12', 'dec': '12'
+    },
+    ordinals: ['er', 're'],
+    connectors: [],
+    timeConnectors: ['à', 'a'],
+    weekWords: ['semaine', 'sem'],
+    quarterWords: ['trimestre'],
+    prepositions: ['du', 'le', 'au', 'depuis', 'en date du'],
+    rangeWords: ['au']
+  },
+  nl: {
+    months: {
+      'januari': '01', 'februari': '02', 'maart': '03', 'april': '04',
+      'mei': '05', 'juni': '06', 'juli': '07', 'augustus': '08',
+      'september': '09', 'oktober': '10', 'november': '11', 'december': '12',
+      'jan': '01', 'feb': '02', 'mrt': '03', 'apr': '04',
+      'jun': '06', 'jul': '07', 'aug': '08',
+      'sep': '09', 'sept': '09', 'okt': '10', 'nov': '11', 'dec': '12'
+    },
+    ordinals: ['ste', 'de', 'e'],
+    connectors: [],
+    timeConnectors: ['om'],
+    weekWords: ['week', 'wk'],
+    quarterWords: ['kwartaal'],
+    prepositions: ['van', 'op', 'per', 'vanaf', 'sinds', 'tot'],
+    rangeWords: ['tot']
+  },
+  es: {
+    months: {
+      'enero': '01', 'febrero': '02', 'marzo': '03', 'abril': '04',
+      'mayo': '05', 'junio': '06', 'julio': '07', 'agosto': '08',
+      'septiembre': '09', 'setiembre': '09', 'octubre': '10', 'noviembre': '11', 'diciembre': '12',
+      'ene': '01', 'feb': '02', 'mar': '03', 'abr': '04', 'may': '05',
+      'jun': '06', 'jul': '07', 'ago': '08',
+      'sep': '09', 'sept': '09', 'set': '09', 'oct': '10', 'nov': '11', 'dic': '12'
+    },
+    ordinals: ['º', 'ª'],
+    connectors: ['de', 'del'],
+    timeConnectors: ['a las', 'a la'],
+    weekWords: ['semana', 'sem'],
+    quarterWords: ['trimestre'],
+    prepositions: ['del', 'de', 'el', 'desde', 'hasta', 'con fecha'],
+    rangeWords: ['al', 'hasta']
+  }
+};
+
+// Locales used if none are selected
+const DEFAULT_LOCALES = ['de', 'en'];
+
+// Combined tables of the selected locales, by locale list (e.g. "de,en")
+const localeTableCache = new Map();
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex alternation of words, longest first so that e.g. "sept" is preferred over "sep"
+ * @param {string[]} words - The words
+ * @returns {string} - The regex pattern, never matches anything if `words` is empty
+ */
+function alternation(words) {
+  if (words.length === 0) return '(?!)';
+  return [...new Set(words)].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+}
+
+/**
+ * Get the combined month names and regex patterns of the selected locales.
+ * 
+ * If the same month name is used by several locales, the first selected locale wins.
+ * The returned patterns must be used with the `iu` regex flags.
+ * 
+ * @param {object} [options] - Options, `options.locales` are the locale codes (default: {@link DEFAULT_LOCALES})
+ * @returns {{months: object, monthPattern: string, monthFirstPattern: string, dayPattern: string, ordinalPattern: string, separatorPattern: string, timeConnectorPattern: string, weekPattern: string, quarterPattern: string, prepositionPattern: string, rangeWordPattern: string}}
+ *          - `months` maps lowercase month names to the month number;
+ *          `monthPattern` matches a month name as a whole word (capturing group);
+ *          `monthFirstPattern` the same for locales that write the month first (e.g. "Sep 10");
+ *          `dayPattern` a day number with optional ordinal suffix (capturing group for the number);
+ *          `ordinalPattern` an ordinal suffix, e.g. "th";
+ *          `separatorPattern` what's between day, month name and year, e.g. " of " or ", ";
+ *          `timeConnectorPattern` a word between date and time, e.g. "at";
+ *          `weekPattern` and `quarterPattern` a word for a calendar week or a quarter, e.g. "KW" or "Quartal";
+ *          `prepositionPattern` a preposition, with any separators between its words (e.g. "as_of");
+ *          `rangeWordPattern` a word between start and end of a date range, e.g. "bis"
+ */
+function getLocaleTable(options = {}) {
+  const locales = options.locales ?? DEFAULT_LOCALES;
+  const key = locales.join(',');
+  
+  if (!localeTableCache.has(key)) {
+    const packs = locales.map(locale => {
+      if (!LOCALES[locale]) {
+        throw new Error(`Unknown locale: ${locale} (known: ${Object.keys(LOCALES).join(', ')})`);
+      }
+      return LOCALES[locale];
+    });
+    
+    const months = {};
+    for (const pack of packs) {
+      for (const [name, month] of Object.entries(pack.months)) {
+        if (!(name in months)) months[name] = month;
+      }
+    }
+    const monthFirstNames = packs.filter(pack => pack.monthFirst).flatMap(pack => Object.keys(pack.months));
+    const ordinals = packs.flatMap(pack => pack.ordinals);
+    const connectors = packs.flatMap(pack => pack.connectors);
+    const timeConnectors = packs.flatMap(pack => pack.timeConnectors ?? []);
+    const weekWords = packs.flatMap(pack => pack.weekWords ?? []);
+    const quarterWords = packs.flatMap(pack => pack.quarterWords ?? []);
+    const prepositions = packs.flatMap(pack => pack.prepositions ?? []);
+    const rangeWords = packs.flatMap(pack => pack.rangeWords ?? []);
+    
+    localeTableCache.set(key, {
+      months,
+      monthPattern: `(?<!\\p{L})(${alternation(Object.keys(months))})(?!\\p{L})`,
+      monthFirstPattern: `(?<!\\p{L})(${alternation(monthFirstNames)})(?!\\p{L})`,
+      dayPattern: `(\\d{1,2})(?:${alternation(ordinals)})?`,
+      ordinalPattern: `(?:${alternation(ordinals)})`,
+      separatorPattern: `(?:[\\s.,-]+(?:${alternation(connectors)})(?!\\p{L}))?[\\s.,-]+`,
+      timeConnectorPattern: `(?:${alternation(timeConnectors)})(?!\\p{L})`,
+      weekPattern: `(?<!\\p{L})(?:${alternation(weekWords)})`,
+      quarterPattern: `(?<!\\p{L})(?:${alternation(quarterWords)})(?!\\p{L})`,
+      prepositionPattern: `(?:${alternation(prepositions).replace(/ /g, '[\\s_-]+')})`,
+      rangeWordPattern: `(?<!\\p{L})(?:${alternation(rangeWords)})(?!\\p{L})`
+    });
+  }
+  
+  return localeTableCache.get(key);
+}
+
+/**
+ * Debug log function - only outputs when debug mode is enabled
+ * @param {object} options - Options, `options.debug` enables debug mode, `options.reporter` is used for output if set
+ * @param {string} message - The message to log
+ */
+function debugLog(options, message) {
+  if (options.debug) {
+    if (options.reporter) {
+      options.reporter.debug(message);
+    } else {
+      console.log(`[DEBUG] ${message}`);
+    }
+  }
+}
+
+const REPORT_FORMATS = ['text', 'json', 'ndjson', 'csv'];
+const CSV_FILE_COLUMNS = ['directory', 'oldName', 'newName', 'newDirectory', 'status', 'reason', 'matchedPattern', 'date', 'yearSource', 'mtime'];
+const CSV_TOTALS_COLUMNS = ['dryRun', 'renamed', 'skipped', 'conflicts', 'ambiguous', 'errors', 'stamped'];
+// `type` tells the file rows from the totals row at the end, which only fills the totals columns
+const CSV_COLUMNS = ['type', ...CSV_FILE_COLUMNS, ...CSV_TOTALS_COLUMNS];
+
+/**
+ * Create the reporter through which all output of a run goes.
+ * 
+ * With format `'text'` everything is written to stdout (errors to stderr) for humans. The other formats write
+ * one record per file (and the totals) to stdout for further processing; the human-readable messages then
+ * go to stderr, so that stdout stays parseable:
+ * - `'json'`: a single document `{dryRun, files, directories, totals}` at the end of the run
+ * - `'ndjson'`: one line per file, directory summary and the totals, distinguished by `type`, as they happen
+ * - `'csv'`: a header, one row per file and a row with the totals, distinguished by `type`
+ * 
+ * @param {'text'|'json'|'ndjson'|'csv'} [format] - Output format (default: `'text'`)
+ * @param {'quiet'|'normal'|'verbose'} [level] - `'quiet'` only outputs errors, `'verbose'` also files that are skipped
+ *                                               because they already have the correct format (default: `'normal'`)
+ * @param {object} [options] - Options, `options.dryRun` is included in the totals; with `options.watch`, the messages
+ *                             about files start with the time
+ * @returns {object} - The reporter
+ */
+function createReporter(format = 'text', level = 'normal', options = {}) {
+  const text = format === 'text';
+  const log = text ? console.log : console.error;
+  const files = [];
+  const directories = [];
+  
+  const emit = record => console.log(JSON.stringify(record));
+  const emitCsvRow = record => console.log(CSV_COLUMNS.map(column => formatCsvValue(record[column])).join(','));
+  
+  return {
+    format,
+    
+    /** Informational message, e.g. the settings or summaries */
+    info(message) {
+      if (level !== 'quiet') {
+        log(message);
+      }
+    },
+    
+    /** Message only shown with `--verbose` */
+    verbose(message) {
+      if (level === 'verbose') {
+        log(message);
+      }
+    },
+    
+    debug(message) {
+      log(`[DEBUG] ${message}`);
+    },
+    
+    error(message) {
+      console.error(message);
+    },
+    
+    /** Report the outcome for a file, see {@link createFileRecord} */
+    file(entry) {
+      const record = createFileRecord(entry);
+      switch (format) {
+        case 'json':
+          files.push(record);
+          return;
+        case 'ndjson':
+          emit({ type: 'file', ...record });
+          return;
+        case 'csv':
+          if (files.length === 0) {
+            console.log(CSV_COLUMNS.join(','));
+          }
+          files.push(record);
+          emitCsvRow({ type: 'file', ...record });
+          return;
+      }
+      
+      // In watch mode, files come in over time
+      const time = options.watch ? `[${formatTimestamp(new Date())}] ` : '';
+      switch (entry.status) {
+        case 'error':
+          if (entry.exception) {
+            console.error(`${time}Error processing file ${entry.oldFilename}: ${entry.message}`);
+          } else {
+            log(`${time}${entry.message}`);
+          }
+          break;
+        case 'already-formatted':
+          if (entry.timestamps) {
+            this.info(`${time}Setting timestamps: ${entry.oldFilename}${formatNotes(entry)}`);
+          } else {
+            this.verbose(`${time}File already in correct format: ${entry.oldFilename}${formatNotes(entry)}`);
+          }
+          break;
+        case 'conflict':
+          this.info(`${time}Skipping: ${entry.message}`);
+          break;
+        case 'ambiguous':
+          this.info(`${time}Skipping: ${entry.message}`);
+          for (const candidate of entry.candidates) {
+            this.info(`  - ${formatCandidateDate(candidate)} (confidence ${candidate.confidence}${candidate.valid ? '' : ', invalid'}): ${candidate.reason}`);
+          }
+          break;
+        case 'declined':
+          this.verbose(`${time}Skipped: ${entry.oldFilename}`);
+          break;
+        case 'rename':
+          this.info(`${time}${entry.newDirectory ? 'Moving' : 'Renaming'}: ${entry.oldFilename} -> ${displayNewName(entry)}${formatNotes(entry)}`);
+          break;
+      }
+    },
+    
+    /** Report the statistics of a directory, optionally an error that prevented processing it */
+    directory(directory, stats, error) {
+      if (error) {
+        this.error(error.code === 'ENOENT'
+          ? `Directory does not exist: ${directory}`
+          : `Error processing directory ${directory}: ${error.message}`);
+      } else {
+        this.info(`\nSummary for ${directory}:`);
+        this.info(`  Files to be renamed: ${stats.renamed}`);
+        this.info(`  Files skipped: ${stats.skipped}`);
+        this.info(`  Files with conflicts: ${stats.conflicts}`);
+        this.info(`  Files with ambiguous dates: ${stats.ambiguous}`);
+        this.info(`  Files with errors: ${stats.errors}`);
+        if (stats.stamped > 0) {
+          this.info(`  Files with new timestamps: ${stats.stamped}`);
+        }
+      }
+      
+      const record = { directory, ...stats, ...(error && { error: error.message }) };
+      if (format === 'json') {
+        directories.push(record);
+      } else if (format === 'ndjson') {
+        emit({ type: 'directory', ...record });
+      }
+    },
+    
+    /** Report the totals over all directories, ending the report */
+    end(totalStats) {
+      this.info('\nTotal Statistics:');
+      this.info(`  Total files renamed: ${totalStats.totalRenamed}`);
+      this.info(`  Total files skipped: ${totalStats.totalSkipped}`);
+      this.info(`  Total files with conflicts: ${totalStats.totalConflicts}`);
+      this.info(`  Total files with ambiguous dates: ${totalStats.totalAmbiguous}`);
+      this.info(`  Total files with errors: ${totalStats.totalErrors}`);
+      if (totalStats.totalStamped > 0) {
+        this.info(`  Total files with new timestamps: ${totalStats.totalStamped}`);
+      }
+      
+      const totals = {
+        dryRun: Boolean(options.dryRun),
+        renamed: totalStats.totalRenamed,
+        skipped: totalStats.totalSkipped,
+        conflicts: totalStats.totalConflicts,
+        ambiguous: totalStats.totalAmbiguous,
+        errors: totalStats.totalErrors,
+        stamped: totalStats.totalStamped
+      };
+      if (format === 'json') {
+        console.log(JSON.stringify({ dryRun: totals.dryRun, files, directories, totals }, null, 2));
+      } else if (format === 'ndjson') {
+        emit({ type: 'totals', ...totals });
+      } else if (format === 'csv') {
+        if (files.length === 0) {
+          console.log(CSV_COLUMNS.join(','));
+        }
+        emitCsvRow({ type: 'totals', ...totals });
+      }
+    }
+  };
+}
+
+/**
+ * Format a point in time for log messages
+ * @param {Date} date - The point in time
+ * @returns {string} - Local date and time, e.g. `2023-07-10 14:30:05`
+ */
+function formatTimestamp(date) {
+  const { year, month, day } = localDateParts(date);
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds()].map(part => part.toString().padStart(2, '0')).join(':');
+  return `${year}-${month}-${day} ${time}`;
+}
+
+/**
+ * Create the machine-readable record of a plan entry.
+ * 
+ * The status is `'renamed'` (in a dry run: would be renamed), `'skipped'` (conflict, ambiguous date or declined
+ * in the interactive review, see `reason`), `'error'` (see `reason`) or `'already-formatted'`.
+ * 
+ * @param {object} entry - Plan entry, see {@link planRenames}
+ * @returns {{directory: string, oldName: string, newName: string|null, newDirectory: string|null, status: string, reason: string|null, matchedPattern: string|null, date: string|null, yearSource: string|null, mtime: string|null}} - The record
+ */
+function createFileRecord(entry) {
+  const statuses = {
+    'rename': 'renamed',
+    'already-formatted': 'already-formatted',
+    'error': 'error',
+    'conflict': 'skipped',
+    'ambiguous': 'skipped',
+    'declined': 'skipped'
+  };
+  const reasons = {
+    error: entry.message,
+    conflict: entry.message,
+    ambiguous: entry.message,
+    declined: 'declined in interactive review'
+  };
+  return {
+    directory: entry.directory,
+    oldName: entry.oldFilename,
+    newName: entry.status === 'rename' ? entry.newFilename : null,
+    // the target folder in archive mode, if the file is moved
+    newDirectory: entry.status === 'rename' ? entry.newDirectory ?? null : null,
+    status: statuses[entry.status],
+    reason: reasons[entry.status] ?? null,
+    matchedPattern: entry.matchedPattern ?? null,
+    // an ambiguous date was not decided on
+    date: entry.year && entry.status !== 'ambiguous' ? formatCandidateDate(entry) : null,
+    // where the year came from if the name has none, see YEAR_SOURCES
+    yearSource: entry.status !== 'ambiguous' ? entry.yearSource ?? null : null,
+    // the new modification time with --set-mtime
+    mtime: entry.timestamps && ['rename', 'already-formatted'].includes(entry.status) ? formatTimestamp(entry.timestamps.mtime) : null
+  };
+}
+
+/**
+ * Format a value for a CSV cell (RFC 4180)
+ * @param {*} value - The value, `null` and `undefined` give an empty cell
+ * @returns {string} - The cell, quoted if necessary
+ */
+function formatCsvValue(value) {
+  const string = value == null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+}
+
+/**
+ * Get the current year, relative to which dates are validated and 2-digit years are expanded
+ * @param {object} [options] - Options, `options.referenceDate` overrides "today"
+ * @returns {number} - The current year
+ */
+function getCurrentYear(options = {}) {
+  return (options.referenceDate ?? new Date()).getFullYear();
+}
+
+/**
+ * Parse a duration like "2y", "6m", "3w" or "10d"
+ * @param {string} text - The duration
+ * @returns {{amount: number, unit: 'd'|'w'|'m'|'y'}|null} - The amount and unit (days, weeks, months or years),
+ *          null if invalid
+ */
+function parseDuration(text) {
+  const match = /^(\d+)([dwmy])$/.exec(String(text).trim());
+  return match ? { amount: parseInt(match[1], 10), unit: match[2] } : null;
+}
+
+/**
+ * Get the latest valid date. Without `options.allowFuture`, that's the end of the current year; otherwise "today"
+ * plus the allowed duration, e.g. `'2y'` for agendas of meetings up to two years ahead.
+ * @param {object} [options] - Options, see {@link getCurrentYear}, `options.allowFuture` is a duration (see {@link parseDuration})
+ * @returns {Date} - The latest valid date (its end, local time)
+ */
+function getLatestDate(options = {}) {
+  const today = options.referenceDate ?? new Date();
+  const duration = options.allowFuture !== undefined && parseDuration(options.allowFuture);
+  if (!duration) {
+    return new Date(today.getFullYear(), 11, 31, 23, 59, 59, 999);
+  }
+  
+  const { amount, unit } = duration;
+  const latest = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59, 999);
+  if (unit === 'y') latest.setFullYear(latest.getFullYear() + amount);
+  if (unit === 'm') latest.setMonth(latest.getMonth() + amount);
+  if (unit === 'w') latest.setDate(latest.getDate() + amount * 7);
+  if (unit === 'd') latest.setDate(latest.getDate() + amount);
+  return latest;
+}
+
+/**
+ * Check whether a year is in the window of valid dates, see {@link isValidDate}
+ * @param {string|number} year - The 4-digit year
+ * @param {object} [options] - Options, see {@link getLatestDate}, `options.minYear` is the earliest valid year (default: 1900)
+ * @returns {boolean} - Whether dates in the year can be valid
+ */
+function isYearInRange(year, options = {}) {
+  const y = parseInt(year, 10);
+  return y >= (options.minYear ?? 1900) && y <= getLatestDate(options).getFullYear();
+}
+
+/**
+ * Convert a 2-digit year to a 4-digit year.
+ * 
+ * With `options.pivot` (0-100), years below the pivot are in the 2000s and the others in the 1900s, e.g. with pivot
+ * 60: "59" is 2059 and "60" is 1960. Without it, the 2000s are used unless that's after the latest valid year (see
+ * {@link getLatestDate}).
+ * 
+ * @param {string|number} shortYear - The 2-digit year
+ * @param {object} [options] - Options, see {@link getLatestDate}, `options.pivot` is the century pivot; the decision
+ *                             is added to `options.trace` (if set)
+ * @returns {string} - The 4-digit year
+ */
+function normalizeYear(shortYear, options = {}) {
+  if(shortYear.length !== 2) return shortYear;
+  const year = parseInt(shortYear, 10);
+  
+  let fullYear, reason;
+  if (options.pivot !== undefined) {
+    fullYear = year < options.pivot ? 2000 + year : 1900 + year;
+    reason = `${shortYear} is ${year < options.pivot ? 'below' : 'not below'} the pivot ${options.pivot}`;
+  } else {
+    // Try with 2000s first
+    const latestYear = getLatestDate(options).getFullYear();
+    fullYear = 2000 + year;
+    reason = `${fullYear} is not after ${latestYear}`;
+    
+    // If the resulting year is in the future, use 1900s instead
+    if (fullYear > latestYear) {
+      reason = `${fullYear} would be after ${latestYear}`;
+      fullYear = 1900 + year;
+    }
+  }
+  
+  options.trace?.push({ step: 'normalizeYear', input: shortYear, output: fullYear.toString(), reason });
+  return fullYear.toString();
+}
+
+// Sources for the year of dates without year in the name, see inferYear()
+const YEAR_SOURCES = {
+  siblings: 'dates of other files in the directory',
+  mtime: 'modification time',
+  recent: 'most recent past occurrence',
+  current: 'current year'
 };
 
-// Create a regex pattern for month names
-const MONTH_NAMES_PATTERN = Object.keys(GERMAN_MONTHS).join('|');
+// Where to look for the year of dates without year, in this order, see inferYear()
+const DEFAULT_YEAR_FROM = ['siblings', 'mtime', 'recent'];
+
+/**
+ * Infer the year of a date without year (e.g. "9.5."), from the first of `options.yearFrom` that gives one:
+ * 
+ * - `'siblings'`: the dates of the other files in the directory (`options.yearHints.siblingDates`), if most of
+ *   them are from the same year; the year in which the date is closest to one of them, e.g. 2022 for "28.12." next
+ *   to "2023-01-05 Notes.docx"
+ * - `'mtime'`: the most recent occurrence of the date up to the file's modification time (`options.yearHints.mtime`)
+ * - `'recent'`: the most recent past occurrence of the date, so that e.g. "28.12." in January is last December
+ * - `'current'`: the current year
+ * 
+ * Without any of them (e.g. for an invalid date like "31.2."), the current year is used.
+ * 
+ * @param {string} month - The month
+ * @param {string} day - The day
+ * @param {object} [options] - Options, see {@link getCurrentYear}; `options.yearFrom` are the sources (default:
+ *                             {@link DEFAULT_YEAR_FROM}); the decision is added to `options.trace` (if set)
+ * @returns {{year: string, source: string}} - The year and where it came from, see {@link YEAR_SOURCES}
+ */
+function inferYear(month, day, options = {}) {
+  const inferred = (year, source, reason) => {
+    options.trace?.push({ step: 'inferYear', input: `${month}-${day}`, output: year.toString(), reason });
+    return { year: year.toString(), source };
+  };
+  
+  const { siblingDates = [], mtime } = options.yearHints ?? {};
+  for (const source of options.yearFrom ?? DEFAULT_YEAR_FROM) {
+    if (source === 'siblings' && siblingDates.length > 0) {
+      const counts = new Map();
+      for (const date of siblingDates) {
+        counts.set(date.getFullYear(), (counts.get(date.getFullYear()) ?? 0) + 1);
+      }
+      const [year, count] = [...counts].reduce((most, entry) => entry[1] > most[1] ? entry : most);
+      const closest = count > siblingDates.length / 2
+        && closestYear(month, day, siblingDates.filter(date => date.getFullYear() === year));
+      if (closest) {
+        return inferred(closest, source, `closest to ${count} of ${siblingDates.length} dates of other files, from ${year}`);
+      }
+    }
+    if (source === 'mtime' && mtime) {
+      const year = mostRecentYear(month, day, mtime);
+      if (year) {
+        return inferred(year, source, `most recent up to the modification time ${formatTimestamp(mtime)}`);
+      }
+    }
+    if (source === 'recent') {
+      const year = mostRecentYear(month, day, options.referenceDate ?? new Date());
+      if (year) {
+        return inferred(year, source, YEAR_SOURCES.recent);
+      }
+    }
+    if (source === 'current') {
+      break;
+    }
+  }
+  return inferred(getCurrentYear(options), 'current', YEAR_SOURCES.current);
+}
+
+/**
+ * Find the year in which a month and day are closest to one of the given dates
+ * @param {string} month - The month
+ * @param {string} day - The day
+ * @param {Date[]} dates - The dates to compare with
+ * @returns {number|undefined} - The year, undefined if the month has no such day
+ */
+function closestYear(month, day, dates) {
+  let closest;
+  for (const reference of dates) {
+    for (const year of [reference.getFullYear() - 1, reference.getFullYear(), reference.getFullYear() + 1]) {
+      const date = new Date(year, month - 1, day);
+      const distance = Math.abs(date - reference);
+      if (date.getMonth() === month - 1 && (!closest || distance < closest.distance)) {
+        closest = { year, distance };
+      }
+    }
+  }
+  return closest?.year;
+}
+
+/**
+ * Find the year of the most recent occurrence of a month and day up to a date
+ * @param {string} month - The month
+ * @param {string} day - The day
+ * @param {Date} reference - The date
+ * @returns {number|undefined} - The year, undefined if the month has no such day
+ */
+function mostRecentYear(month, day, reference) {
+  // Leap days may be a few years back
+  for (let year = reference.getFullYear(); year > reference.getFullYear() - 8; year--) {
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() === month - 1 && date <= reference) {
+      return year;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Error in the command line arguments, reported without stack trace
+ */
+class UsageError extends Error {}
+
+/**
+ * Remove a boolean flag from the command line arguments
+ * @param {string[]} args - The command line arguments, modified in place
+ * @param {string} name - The flag, e.g. `--execute`
+ * @returns {boolean} - Whether the flag was present
+ */
+function takeFlag(args, name) {
+  const index = args.indexOf(name);
+  if (index < 0) return false;
+  args.splice(index, 1);
+  return true;
+}
+
+/**
+ * Remove an option with value (`--name value` or `--name=value`) from the command line arguments
+ * @param {string[]} args - The command line arguments, modified in place
+ * @param {string} name - The option, e.g. `--max-depth`
+ * @param {string[]} [allowedValues] - If given, the value must be one of these
+ * @returns {string|undefined} - The value or undefined if the option was not present
+ */
+function takeOption(args, name, allowedValues) {
+  let value;
+  const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+  if (index < 0) return undefined;
+  
+  if (args[index] === name) {
+    if (index + 1 >= args.length) {
+      throw new UsageError(`Missing value for ${name}`);
+    }
+    value = args[index + 1];
+    args.splice(index, 2);
+  } else {
+    value = args[index].substring(name.length + 1);
+    args.splice(index, 1);
+  }
+  
+  if (allowedValues && !allowedValues.includes(value)) {
+    throw new UsageError(`Invalid value for ${name}: "${value}" (allowed: ${allowedValues.join(', ')})`);
+  }
+  return value;
+}
 
-// Global statistics
-const totalStats = {
-  totalRenamed: 0,
-  totalSkipped: 0,
-  totalErrors: 0
+/**
+ * Name of the configuration file, looked up from each processed directory upward
+ */
+const CONFIG_FILENAME = '.normalize-filename-dates.json';
+
+/**
+ * Files that are never renamed: the script itself (and other scripts), and hidden files
+ */
+const DEFAULT_IGNORE = ['*.js', '*.mjs', '*.ts', '.*'];
+
+/**
+ * Validation of the settings in a configuration file; each function throws if the value is invalid
+ */
+const CONFIG_VALIDATORS = {
+  root: value => assertConfig(typeof value === 'boolean', 'must be true or false'),
+  locales: value => {
+    assertConfig(Array.isArray(value) && value.every(locale => typeof locale === 'string'), 'must be an array of locale codes');
+    const unknownLocales = value.filter(locale => !LOCALES[locale]);
+    assertConfig(unknownLocales.length === 0, `unknown locale(s) ${unknownLocales.join(', ')} (known: ${Object.keys(LOCALES).join(', ')})`);
+  },
+  template: value => {
+    assertConfig(typeof value === 'string', 'must be a string');
+    validateTemplate(value);
+  },
+  ignore: value => assertConfig(Array.isArray(value) && value.every(pattern => typeof pattern === 'string'), 'must be an array of patterns'),
+  onConflict: value => assertConfig(['skip', 'suffix', 'fail'].includes(value), 'must be one of skip, suffix, fail'),
+  ambiguous: value => assertConfig(['skip', 'best', 'first'].includes(value), 'must be one of skip, best, first'),
+  pick: value => assertConfig(PICK_POLICIES.includes(value), `must be one of ${PICK_POLICIES.join(', ')}`),
+  time: value => assertConfig(['keep', 'drop'].includes(value), 'must be one of keep, drop'),
+  renormalize: value => assertConfig(typeof value === 'boolean', 'must be true or false'),
+  partialDates: value => assertConfig(['keep', 'first-day'].includes(value), 'must be one of keep, first-day'),
+  minYear: value => assertConfig(Number.isInteger(value) && value > 0, 'must be a positive integer'),
+  pivot: value => assertConfig(Number.isInteger(value) && value >= 0 && value <= 100, 'must be an integer from 0 to 100'),
+  allowFuture: value => assertConfig(typeof value === 'string' && parseDuration(value), 'must be a duration like "2y", "6m", "3w" or "10d"'),
+  prepositions: value => assertConfig(typeof value === 'boolean', 'must be true or false'),
+  replace: value => {
+    assertConfig(Array.isArray(value), 'must be an array of rules');
+    value.forEach(validateReplaceRule);
+  },
+  separator: value => assertConfig(value in SEPARATOR_STYLES, `must be one of ${Object.keys(SEPARATOR_STYLES).join(', ')}`),
+  casing: value => assertConfig(value in CASING_RULES, `must be one of ${Object.keys(CASING_RULES).join(', ')}`),
+  maxLength: value => assertConfig(Number.isInteger(value) && value > 0, 'must be a positive integer'),
+  yearFrom: value => assertConfig(
+    Array.isArray(value) && value.length > 0 && value.every(source => source in YEAR_SOURCES),
+    `must be an array of ${Object.keys(YEAR_SOURCES).join(', ')}`
+  ),
+  setMtime: value => assertConfig(typeof value === 'boolean', 'must be true or false'),
+  setAtime: value => assertConfig(typeof value === 'boolean', 'must be true or false'),
+  stampTime: value => assertConfig(typeof value === 'string' && STAMP_TIME_PATTERN.test(value), 'must be a time like "12:00"'),
+  moveTo: value => {
+    assertConfig(typeof value === 'string' && value, 'must be a folder like "archive/{yyyy}/{mm}"');
+    validateMoveTo(value);
+  },
+  patterns: value => {
+    assertConfig(Array.isArray(value), 'must be an array of patterns');
+    value.forEach(validateCustomPattern);
+  }
 };
 
-// TODO: add option --quiet -> only output errors
-// TODO: add option --verbose -> also output files that are skipped
+/**
+ * Throw an error about an invalid setting if the condition is not met
+ * @param {boolean} condition - The condition
+ * @param {string} message - What is wrong
+ */
+function assertConfig(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Read the configuration files that apply to a directory, like `.editorconfig`: the files in the directory and
+ * all its parents, the nearer ones overriding the settings of those farther away. Looking further up stops at a
+ * file with `"root": true`.
+ * 
+ * Supported settings: `locales`, `template`, `ignore` (filename patterns with `*` and `?`, in addition to
+ * {@link DEFAULT_IGNORE}), `onConflict`, `ambiguous`, `pick`, `time`, `partialDates`, `renormalize`, `yearFrom` (see {@link inferYear}),
+ * `minYear` (earliest valid year, default: 1900), `pivot` (see {@link normalizeYear}), `allowFuture` (see
+ * {@link getLatestDate}), `prepositions`, `replace` (see {@link validateReplaceRule}), `separator`, `casing` and
+ * `maxLength` (see {@link cleanupRest}), `moveTo` (target folders of the archive mode, relative to the directory of
+ * the config file, see {@link getNewDirectory}), `setMtime`, `setAtime` and `stampTime` (see {@link getTimestamps}) and `patterns` (user-defined date patterns, see {@link compileCustomPattern}).
+ * 
+ * @param {string} directory - The directory
+ * @returns {Promise<{settings: object, files: string[]}>} - The merged settings and the files they came from,
+ *                                                          nearest first
+ */
+async function loadConfig(directory) {
+  const configs = [];
+  let current = path.resolve(directory);
+  
+  for (;;) {
+    const file = path.join(current, CONFIG_FILENAME);
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+    }
+    
+    if (content !== undefined) {
+      let settings;
+      try {
+        settings = JSON.parse(content);
+        assertConfig(settings && typeof settings === 'object' && !Array.isArray(settings), 'must contain a JSON object');
+        for (const [key, value] of Object.entries(settings)) {
+          const validate = CONFIG_VALIDATORS[key];
+          assertConfig(validate, `unknown setting "${key}" (known: ${Object.keys(CONFIG_VALIDATORS).join(', ')})`);
+          try {
+            validate(value);
+          } catch (error) {
+            throw new Error(`"${key}" ${error.message}`);
+          }
+        }
+      } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+      }
+      if (settings.moveTo) {
+        settings.moveTo = path.resolve(current, settings.moveTo);
+      }
+      configs.push({ file, settings });
+      if (settings.root) break;
+    }
+    
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  
+  const settings = {};
+  for (const config of [...configs].reverse()) {
+    Object.assign(settings, config.settings);
+  }
+  delete settings.root;
+  
+  return { settings, files: configs.map(config => config.file) };
+}
+
+/**
+ * Get the effective options for a directory: the defaults, overridden by the configuration files that apply to
+ * the directory (see {@link loadConfig}), overridden by the given options (e.g. from the command line)
+ * @param {string} directory - The directory
+ * @param {object} options - Options given explicitly; undefined values don't override anything
+ * @returns {Promise<object>} - The options, `configFiles` are the configuration files used
+ */
+async function resolveDirectoryOptions(directory, options) {
+  const { settings, files } = await loadConfig(directory);
+  const defaults = {
+    locales: DEFAULT_LOCALES,
+    template: DEFAULT_TEMPLATE,
+    ignore: DEFAULT_IGNORE,
+    onConflict: 'skip',
+    ambiguous: 'skip',
+    partialDates: 'keep',
+    minYear: 1900,
+    yearFrom: DEFAULT_YEAR_FROM
+  };
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const resolved = { ...defaults, ...settings, ...given, configFiles: files };
+  // Ignore patterns add to the default ones, the script itself and hidden files are never renamed
+  resolved.ignore = [...new Set([...DEFAULT_IGNORE, ...resolved.ignore])];
+  return resolved;
+}
+
+/**
+ * Check whether a filename matches one of the ignore patterns
+ * @param {string} filename - The filename
+ * @param {string[]} patterns - Patterns, `*` matches any characters, `?` a single one
+ * @returns {boolean} - Whether the file is to be ignored
+ */
+function isIgnored(filename, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern.split(/([*?])/).map(part => part === '*' ? '.*' : part === '?' ? '.' : escapeRegExp(part)).join('');
+    return new RegExp(`^${source}$`, 'su').test(filename);
+  });
+}
+
+/**
+ * Main function of the command line interface: parse arguments and process directories
+ */
+async function main() {
+  const args = process.argv.slice(2);
 
-// Debug mode flag
-let debugMode = false;
+  // TODO: maybe use some of the existing, production-proven libs for command-line argument handling so that we also get `--help` etc? 
+  //       On the other hand: This way the script needs no external dependencies.
+  //       However, I could add also packaging into a script for distribution. As it's quite long already, I could split source
+  //       into several files, e.g. one file per pattern matching rule. This would improve maintainability.
+  
+  const interactive = takeFlag(args, '--interactive');
+  const watchMode = takeFlag(args, '--watch');
+  // In interactive mode, each rename is confirmed before it's executed
+  const dryRun = !takeFlag(args, '--execute') && !interactive;
+  const debugMode = takeFlag(args, '--debug');
+  
+  // Output
+  const report = takeOption(args, '--report', REPORT_FORMATS) ?? 'text';
+  const quiet = takeFlag(args, '--quiet');
+  const verbose = takeFlag(args, '--verbose');
+  if (quiet && verbose) {
+    throw new UsageError('--quiet and --verbose cannot be combined');
+  }
+  if (interactive && report !== 'text') {
+    throw new UsageError('--interactive can only be used with --report text');
+  }
+  if (interactive && watchMode) {
+    throw new UsageError('--interactive cannot be combined with --watch');
+  }
+  
+  // Traversal of subdirectories
+  const maxDepthArg = takeOption(args, '--max-depth');
+  const maxDepth = maxDepthArg === undefined ? Infinity : parseInt(maxDepthArg, 10);
+  if (isNaN(maxDepth) || maxDepth < 0) {
+    throw new UsageError(`Invalid value for --max-depth: "${maxDepthArg}" (expected a number >= 0)`);
+  }
+  // --max-depth implies --recursive
+  const recursive = takeFlag(args, '--recursive') || maxDepthArg !== undefined;
+  const symlinks = takeOption(args, '--symlinks', ['skip', 'follow']) ?? 'skip';
+  
+  // Unless given here, these may also come from config files, see loadConfig()
+  const onConflict = takeOption(args, '--on-conflict', ['skip', 'suffix', 'fail']);
+  const ambiguous = takeOption(args, '--ambiguous', ['skip', 'best', 'first']);
+  const pick = takeOption(args, '--pick', PICK_POLICIES);
+  const ignore = takeOption(args, '--ignore')?.split(',').map(pattern => pattern.trim()).filter(Boolean);
+  
+  // Date from file metadata for files without a date in the name
+  const fallbackDate = takeOption(args, '--fallback-date', STAT_SOURCES);
+  const fallbackExtensions = takeOption(args, '--fallback-extensions')?.split(',')
+    .map(extension => extension.trim().toLowerCase())
+    .filter(Boolean)
+    .map(extension => extension.startsWith('.') ? extension : `.${extension}`);
+  
+  // Which years are valid and how 2-digit years are expanded
+  const minYearArg = takeOption(args, '--min-year');
+  const minYear = minYearArg === undefined ? undefined : Number(minYearArg);
+  if (minYear !== undefined && !(Number.isInteger(minYear) && minYear > 0)) {
+    throw new UsageError(`Invalid value for --min-year: "${minYearArg}" (expected a year)`);
+  }
+  const pivotArg = takeOption(args, '--pivot');
+  const pivot = pivotArg === undefined ? undefined : Number(pivotArg);
+  if (pivot !== undefined && !(Number.isInteger(pivot) && pivot >= 0 && pivot <= 100)) {
+    throw new UsageError(`Invalid value for --pivot: "${pivotArg}" (expected a number from 0 to 100)`);
+  }
+  const allowFuture = takeOption(args, '--allow-future');
+  if (allowFuture !== undefined && !parseDuration(allowFuture)) {
+    throw new UsageError(`Invalid value for --allow-future: "${allowFuture}" (expected a duration like 2y, 6m, 3w or 10d)`);
+  }
+  
+  // Where to look for the year of dates without year in the name
+  const yearFromArg = takeOption(args, '--year-from');
+  const yearFrom = yearFromArg?.split(',').map(source => source.trim()).filter(Boolean);
+  if (yearFrom && (yearFrom.length === 0 || yearFrom.some(source => !(source in YEAR_SOURCES)))) {
+    throw new UsageError(`Invalid value for --year-from: "${yearFromArg}" (expected a list of ${Object.keys(YEAR_SOURCES).join(', ')})`);
+  }
+  
+  // Date from document content, when the filename has none or also to cross-check it
+  const contentDate = takeOption(args, '--content-date', ['fallback', 'check']);
+  
+  const template = takeOption(args, '--template');
+  const time = takeOption(args, '--time', ['keep', 'drop']);
+  const partialDates = takeOption(args, '--partial-dates', ['keep', 'first-day']);
+  try {
+    if (template !== undefined) {
+      validateTemplate(template);
+    }
+  } catch (error) {
+    throw new UsageError(`Invalid --template "${template}": ${error.message}`);
+  }
+  
+  const locales = takeOption(args, '--locale')?.split(',').map(locale => locale.trim().toLowerCase());
+  const unknownLocales = locales?.filter(locale => !LOCALES[locale]) ?? [];
+  if (unknownLocales.length > 0) {
+    throw new UsageError(`Unknown locale(s): ${unknownLocales.join(', ')} (known: ${Object.keys(LOCALES).join(', ')})`);
+  }
+  
+  // Cleanup of the rest of the filename, see cleanupRest()
+  const prepositions = takeFlag(args, '--keep-prepositions') ? false : undefined;
+  const separator = takeOption(args, '--separator', Object.keys(SEPARATOR_STYLES));
+  const casing = takeOption(args, '--casing', Object.keys(CASING_RULES));
+  const maxLengthArg = takeOption(args, '--max-length');
+  const maxLength = maxLengthArg === undefined ? undefined : Number(maxLengthArg);
+  if (maxLength !== undefined && !(Number.isInteger(maxLength) && maxLength > 0)) {
+    throw new UsageError(`Invalid value for --max-length: "${maxLengthArg}" (expected a number > 0)`);
+  }
+  
+  // Archive mode: move the files into folders by their date
+  const moveTo = takeOption(args, '--move-to');
+  try {
+    if (moveTo !== undefined) {
+      validateMoveTo(moveTo);
+    }
+  } catch (error) {
+    throw new UsageError(`Invalid --move-to "${moveTo}": ${error.message}`);
+  }
+  
+  // Set the timestamps of the files to their date; only given if set, to not override the config
+  const setMtime = takeFlag(args, '--set-mtime') || undefined;
+  const setAtime = takeFlag(args, '--set-atime') || undefined;
+  const stampTime = takeOption(args, '--stamp-time');
+  if (stampTime !== undefined && !STAMP_TIME_PATTERN.test(stampTime)) {
+    throw new UsageError(`Invalid value for --stamp-time: "${stampTime}" (expected a time like 12:00)`);
+  }
+  
+  // Also clean up names that already have a date in the right place; only given if set, to not override the config
+  const renormalize = takeFlag(args, '--renormalize') || undefined;
+  
+  const printConfig = takeFlag(args, '--print-config');
+  
+  const journalDir = takeOption(args, '--journal-dir') ?? DEFAULT_JOURNAL_DIR;
+  const undo = takeUndoOption(args);
+  
+  if (undo) {
+    await undoCommand(undo.runId, { dryRun, journalDir });
+    return;
+  }
+  
+  // Explain how names are handled, without any files
+  if (args[0] === 'explain') {
+    if (args.length < 2) {
+      throw new UsageError('Missing filename to explain, e.g.: explain "Protokoll - 15.03.25 v2.docx"');
+    }
+    const explainOptions = await resolveDirectoryOptions('.', { locales, template, time, partialDates, ambiguous, pick, yearFrom, minYear, pivot, allowFuture, renormalize, prepositions, separator, casing, maxLength });
+    for (const filename of args.slice(1)) {
+      explainCommand(filename, explainOptions);
+    }
+    return;
+  }
+  
+  // Get directories from remaining command line arguments or use current directory
+  const directories = args.length > 0 ? args : ['.'];
+  
+  if (printConfig) {
+    for (const directory of directories) {
+      try {
+        const { configFiles, ...settings } = await resolveDirectoryOptions(directory, { locales, template, time, partialDates, ignore, onConflict, ambiguous, pick, yearFrom, minYear, pivot, allowFuture, renormalize, prepositions, separator, casing, maxLength, moveTo: moveTo && path.resolve(moveTo), setMtime, setAtime, stampTime });
+        console.log(JSON.stringify({ directory, configFiles, settings }, null, 2));
+      } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+      }
+    }
+    return;
+  }
+  
+  // Statistics over all processed directories
+  const totalStats = {
+    totalRenamed: 0,
+    totalSkipped: 0,
+    totalConflicts: 0,
+    totalAmbiguous: 0,
+    totalErrors: 0,
+    totalStamped: 0
+  };
+  
+  const options = { dryRun, debug: debugMode, watch: watchMode, recursive, maxDepth, symlinks, onConflict, ambiguous, pick, ignore, locales, template, time, partialDates, yearFrom, minYear, pivot, allowFuture, renormalize, prepositions, separator, casing, maxLength, moveTo: moveTo && path.resolve(moveTo), setMtime, setAtime, stampTime, contentDate, fallbackDate, fallbackExtensions };
+  const reporter = createReporter(report, quiet ? 'quiet' : verbose ? 'verbose' : 'normal', options);
+  options.reporter = reporter;
+  
+  // Record executed renames so that they can be reverted with --undo
+  if (!dryRun) {
+    options.journal = createJournal(journalDir);
+  }
+  if (interactive) {
+    options.review = createReview();
+    // Names changed in the review are checked against the same taken names as the plan
+    options.takenNames = createTakenNames();
+  }
+  
+  if (interactive) {
+    reporter.info('Mode: INTERACTIVE (each rename has to be confirmed)');
+  } else {
+    reporter.info(`Mode: ${dryRun ? 'DRY RUN (no changes will be made -> pass `--execute` flag to rename files)' : 'EXECUTE (files will be renamed)'}`);
+  }
+  reporter.info(`Debug Mode: ${debugMode ? 'ON' : 'OFF (pass `--debug` flag to get verbose output)'}`);
+  if (contentDate) {
+    reporter.info(`Content Date: ${contentDate === 'check' ? 'cross-check with filename and use for files without date' : 'use for files without date'}`);
+  }
+  if (fallbackDate) {
+    reporter.info(`Fallback Date: ${fallbackDate} for files without date${fallbackExtensions ? ` (only ${fallbackExtensions.join(', ')})` : ''}`);
+  }
+  if (recursive) {
+    reporter.info(`Recursive: ON (max depth: ${maxDepth}, symlinked directories: ${symlinks})`);
+  }
+  if (watchMode) {
+    reporter.info('Watch: ON (new files are processed when they are complete)');
+  }
+  reporter.info(`Processing directories: ${directories.join(', ')}\n`);
+  
+  // Plan all directories first, so that conflicts between all planned renames are known before renaming anything
+  const plans = [];
+  for (const root of directories) {
+    let subdirectories;
+    try {
+      subdirectories = await listDirectories(root, options);
+    } catch (error) {
+      reporter.directory(root, undefined, error);
+      totalStats.totalErrors++;
+      process.exitCode = 1;
+      continue;
+    }
+    
+    for (const directory of subdirectories) {
+      try {
+        const directoryOptions = await resolveDirectoryOptions(directory, options);
+        plans.push({ directory, options: directoryOptions, entries: await planDirectory(directory, directoryOptions) });
+      } catch (error) {
+        plans.push({ directory, error });
+      }
+    }
+  }
+  
+  const conflicts = await resolveConflicts(plans.flatMap(plan => plan.entries ?? []), options);
+  
+  // The conflict strategy may differ per directory, see resolveDirectoryOptions()
+  if (conflicts.some(entry => entry.onConflict === 'fail')) {
+    reporter.error(`Aborting, no files were renamed because of ${conflicts.length} conflict(s):`);
+    for (const entry of conflicts) {
+      if (reporter.format === 'text') {
+        reporter.error(`  ${entry.message}`);
+      } else {
+        reporter.file(entry);
+      }
+    }
+    totalStats.totalConflicts = conflicts.length;
+    reporter.end(totalStats);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // No file may be renamed (or get new timestamps) without being journaled, so make sure the journal can be written first
+  const changes = plans.some(plan => (plan.entries ?? []).some(entry => entry.status === 'rename' ||
+    (entry.status === 'already-formatted' && entry.timestamps) || (options.review && entry.status === 'ambiguous')));
+  if (options.journal && (changes || watchMode)) {
+    try {
+      await options.journal.open();
+    } catch (error) {
+      reporter.error(`Aborting, no files were renamed: cannot write the journal ${options.journal.file}: ${error.message}`);
+      reporter.end(totalStats);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  
+  for (const plan of plans) {
+    const stats = await processDirectory(plan, options);
+    totalStats.totalRenamed += stats.renamed;
+    totalStats.totalSkipped += stats.skipped;
+    totalStats.totalConflicts += stats.conflicts;
+    totalStats.totalAmbiguous += stats.ambiguous;
+    totalStats.totalErrors += stats.errors;
+    totalStats.totalStamped += stats.stamped;
+  }
+  options.review?.rl.close();
+  
+  // Archive mode: show where the files end up
+  const moves = plans.flatMap(plan => (plan.entries ?? [])
+    .filter(entry => entry.status === 'rename' && entry.newDirectory)
+    .map(entry => ({ root: getMoveToRoot(plan.options.moveTo), entry })));
+  if (dryRun && moves.length > 0) {
+    reporter.info('\nTarget folders:');
+    for (const line of formatTargetTree(moves)) {
+      reporter.info(`  ${line}`);
+    }
+  }
+  
+  if (watchMode) {
+    const stats = await watchDirectories(directories, options);
+    totalStats.totalRenamed += stats.renamed;
+    totalStats.totalSkipped += stats.skipped;
+    totalStats.totalConflicts += stats.conflicts;
+    totalStats.totalAmbiguous += stats.ambiguous;
+    totalStats.totalErrors += stats.errors;
+    totalStats.totalStamped += stats.stamped;
+  }
+  
+  reporter.end(totalStats);
+  
+  if (options.journal?.count > 0) {
+    reporter.info(`\nJournal written to: ${options.journal.file}`);
+    reporter.info(`  Revert this run with: --undo ${options.journal.runId} --execute`);
+  }
+}
+
+/**
+ * Process the plan of a single directory: print the planned renames and - unless in dry run mode - apply them
+ * @param {{directory: string, options?: object, entries?: object[], error?: Error}} plan - The plan of the directory with
+ *        the options for it (see {@link resolveDirectoryOptions}), see {@link planDirectory}
+ * @param {object} options - Options, `options.dryRun` whether to perform a dry run (no actual renaming),
+ *                           `options.debug` whether to print debug output, `options.reporter` for the output,
+ *                           see {@link createReporter}
+ * @returns {Promise<{renamed: number, skipped: number, conflicts: number, ambiguous: number, errors: number, stamped: number}>} - Statistics for this directory
+ */
+async function processDirectory(plan, options) {
+  const { directory } = plan;
+  const { reporter } = options;
+  const stats = { renamed: 0, skipped: 0, conflicts: 0, ambiguous: 0, errors: 0, stamped: 0 };
+  
+  reporter.info(`\nProcessing directory: ${directory}`);
+  if (plan.error) {
+    // e.g. an invalid config file, nothing in the directory is processed
+    stats.errors++;
+    process.exitCode = 1;
+    reporter.directory(directory, stats, plan.error);
+    return stats;
+  }
+  
+  // The settings may differ per directory, see resolveDirectoryOptions()
+  const directoryOptions = plan.options ?? options;
+  if (directoryOptions.configFiles?.length > 0) {
+    reporter.info(`Using config: ${directoryOptions.configFiles.join(', ')}`);
+  }
+  reporter.info(`Locales: ${(directoryOptions.locales ?? DEFAULT_LOCALES).join(', ')}`);
+  reporter.info(`Template: ${getTemplate(directoryOptions)}`);
+  if (directoryOptions.moveTo) {
+    reporter.info(`Move To: ${directoryOptions.moveTo}`);
+  }
+  if (directoryOptions.setMtime || directoryOptions.setAtime) {
+    const stampTime = directoryOptions.stampTime ?? DEFAULT_STAMP_TIME;
+    reporter.info(`Set Timestamps: ${directoryOptions.setAtime ? 'mtime and atime' : 'mtime'} to the date (at ${stampTime} unless the name has a time)`);
+  }
+  
+  for (const entry of plan.entries) {
+    await processEntry(entry, directoryOptions, stats);
+  }
+  
+  reporter.directory(directory, stats);
+  
+  return stats;
+}
+
+/**
+ * Process a single plan entry: let the user review it (in interactive mode), apply the rename (unless in dry run
+ * mode), report it and count it in the statistics
+ * @param {object} entry - Plan entry, see {@link planRenames}
+ * @param {object} options - Options, see {@link processDirectory}
+ * @param {{renamed: number, skipped: number, conflicts: number, ambiguous: number, errors: number, stamped: number}} stats - Statistics,
+ *        modified in place
+ */
+async function processEntry(entry, options, stats) {
+  const { reporter } = options;
+  
+  if (entry.matchedPattern) {
+    debugLog(options, `File: ${entry.oldFilename}`);
+    debugLog(options, `Matched pattern: ${entry.matchedPattern}`);
+    debugLog(options, `Extracted date: ${formatCandidateDate(entry)}`);
+    debugLog(options, `Rest of filename: "${entry.restOfFilename}"`);
+    for (const candidate of entry.candidates ?? []) {
+      debugLog(options, `Candidate: ${formatCandidateDate(candidate)} (confidence ${candidate.confidence}${candidate.valid ? '' : ', invalid'}): ${candidate.reason}`);
+    }
+  }
+  
+  // Let the user confirm, change or decline the rename
+  if (options.review && (entry.status === 'rename' || entry.status === 'ambiguous')) {
+    await reviewEntry(entry, options);
+  }
+  
+  if (!options.dryRun) {
+    try {
+      if (entry.status === 'rename') {
+        await applyRename(entry, options);
+      } else if (entry.status === 'already-formatted' && entry.timestamps) {
+        await applyStamp(entry, options);
+      }
+    } catch (error) {
+      Object.assign(entry, { status: 'error', message: error.message, exception: error });
+      process.exitCode = 1;
+    }
+  }
+  
+  reporter.file(entry);
+  if (entry.timestamps && ['rename', 'already-formatted'].includes(entry.status)) {
+    stats.stamped++;
+  }
+  
+  switch (entry.status) {
+    case 'error':
+      stats.errors++;
+      break;
+    case 'already-formatted':
+    case 'declined':
+      stats.skipped++;
+      break;
+    case 'conflict':
+      stats.conflicts++;
+      break;
+    case 'ambiguous':
+      stats.ambiguous++;
+      break;
+    case 'rename':
+      stats.renamed++;
+      break;
+  }
+}
+
+// Watch mode: how long a file must stay unchanged (no events, same size and modification time) before it is processed
+const WATCH_DEBOUNCE_MS = 1000;
+
+/**
+ * Watch directories for new or renamed files and process them like {@link processDirectory} does, until the
+ * process gets SIGINT (Ctrl-C) or SIGTERM.
+ * 
+ * A file is only processed when it has finished being written: after {@link WATCH_DEBOUNCE_MS} without events for
+ * it, and with the same size and modification time as one interval before. Files that are gone by then (e.g. the
+ * temporary files of editors) are ignored. With `options.recursive`, new subdirectories are watched, too, and the
+ * files in them are processed.
+ * 
+ * @param {string[]} directories - The directories to watch
+ * @param {object} options - Options, see {@link processDirectory} and {@link listDirectories}
+ * @param {number} [options.watchDebounce] - Debounce interval in milliseconds (default: {@link WATCH_DEBOUNCE_MS})
+ * @returns {Promise<{renamed: number, skipped: number, conflicts: number, ambiguous: number, errors: number, stamped: number}>} - Statistics
+ *          of the processed files
+ */
+async function watchDirectories(directories, options) {
+  const { reporter } = options;
+  const debounce = options.watchDebounce ?? WATCH_DEBOUNCE_MS;
+  const maxDepth = options.recursive ? (options.maxDepth ?? Infinity) : 0;
+  const stats = { renamed: 0, skipped: 0, conflicts: 0, ambiguous: 0, errors: 0, stamped: 0 };
+  const watchers = new Map(); // directory -> { watcher, depth }
+  const pending = new Map(); // file path -> { timer, size, mtimeMs }
+  const renamed = new Set(); // new paths of our own renames, which cause events, too
+  
+  // Files are processed one after the other
+  let queue = Promise.resolve();
+  
+  function watchDirectory(directory, depth) {
+    if (watchers.has(directory)) return;
+    const watcher = watch(directory, (eventType, filename) => {
+      if (filename) {
+        schedule(directory, filename);
+      }
+    });
+    watcher.on('error', error => {
+      reporter.error(`Stopped watching ${directory}: ${error.message}`);
+      watcher.close();
+      watchers.delete(directory);
+    });
+    watchers.set(directory, { watcher, depth });
+  }
+  
+  async function watchTree(root, depth) {
+    for (const directory of await listDirectories(root, { ...options, maxDepth: maxDepth - depth })) {
+      const relative = path.relative(root, directory);
+      watchDirectory(directory, depth + (relative ? relative.split(path.sep).length : 0));
+    }
+  }
+  
+  function schedule(directory, filename) {
+    const filePath = path.join(directory, filename);
+    if (renamed.delete(filePath)) return;
+    const state = pending.get(filePath) ?? {};
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      queue = queue.then(() => check(directory, filename));
+    }, debounce);
+    pending.set(filePath, state);
+  }
+  
+  async function check(directory, filename) {
+    const filePath = path.join(directory, filename);
+    const state = pending.get(filePath) ?? {};
+    
+    let fileStats;
+    try {
+      fileStats = await fs.lstat(filePath);
+    } catch (error) {
+      // gone again, e.g. a temporary file or our own rename
+      pending.delete(filePath);
+      return;
+    }
+    
+    if (fileStats.isDirectory() || (fileStats.isSymbolicLink() && options.symlinks === 'follow')) {
+      pending.delete(filePath);
+      const parent = watchers.get(directory);
+      if (parent && parent.depth < maxDepth && !filename.startsWith('.')) {
+        try {
+          if ((await fs.stat(filePath)).isDirectory()) {
+            reporter.info(`Watching new directory: ${filePath}`);
+            await watchTree(filePath, parent.depth + 1);
+            for (const name of await fs.readdir(filePath)) {
+              schedule(filePath, name);
+            }
+          }
+        } catch (error) {
+          reporter.error(`Error watching directory ${filePath}: ${error.message}`);
+        }
+      }
+      return;
+    }
+    
+    // Still being written?
+    if (state.size !== fileStats.size || state.mtimeMs !== fileStats.mtimeMs) {
+      state.size = fileStats.size;
+      state.mtimeMs = fileStats.mtimeMs;
+      pending.set(filePath, state);
+      schedule(directory, filename);
+      return;
+    }
+    pending.delete(filePath);
+    
+    try {
+      const directoryOptions = await resolveDirectoryOptions(directory, options);
+      const entry = await planFile(directory, filename, withSiblingDates(await fs.readdir(directory), directoryOptions));
+      if (entry) {
+        await resolveConflicts([entry], directoryOptions);
+        await processEntry(entry, directoryOptions, stats);
+        if (entry.status === 'rename' && !options.dryRun) {
+          renamed.add(entry.newPath);
+        }
+      }
+    } catch (error) {
+      reporter.error(`Error processing file ${filePath}: ${error.message}`);
+      stats.errors++;
+    }
+  }
+  
+  for (const directory of directories) {
+    try {
+      await watchTree(directory, 0);
+    } catch (error) {
+      reporter.directory(directory, undefined, error);
+    }
+  }
+  if (watchers.size === 0) {
+    return stats;
+  }
+  
+  reporter.info(`\nWatching for new files in: ${directories.join(', ')} (press Ctrl-C to stop)`);
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  
+  for (const { watcher } of watchers.values()) {
+    watcher.close();
+  }
+  for (const { timer } of pending.values()) {
+    clearTimeout(timer);
+  }
+  await queue;
+  
+  return stats;
+}
+
+/**
+ * Explain how a filename is handled, e.g. to find out why a file got an unexpected name: what each pattern matched
+ * (or why its match was not used), the steps inside it ({@link normalizeYear}, {@link cleanupFilename} and
+ * {@link isValidDate}), the resulting candidates and what would be done with the file.
+ * 
+ * Only the name is looked at, there needs to be no such file.
+ * 
+ * @param {string} filename - The filename
+ * @param {object} [options] - Options, see {@link planRenames}
+ * @returns {{filename: string, patterns: object[], result: object|null, decision: object, steps: object[]}} -
+ *          `patterns` has an entry per pattern in order of precedence with `pattern` (its name), `steps`, `result`
+ *          (if it matched) and `skipped` (why its match was not used); `result` is the result of
+ *          {@link extractDateFromFilename}; `decision` has `status`, `message` and `newFilename` like a plan entry
+ *          (see {@link planRenames}) with the `steps` taken for it
+ */
+function explainFilename(filename, options = {}) {
+  const patterns = [];
+  const result = extractDateFromFilename(filename, { ...options, trace: patterns });
+  const steps = [];
+  const decision = planName(filename, result, { ...options, trace: steps });
+  return { filename, patterns, result, decision, steps };
+}
+
+/**
+ * Format a step of a trace for output, see {@link explainFilename}
+ * @param {{step: string, input: string, output: string|boolean, reason?: string}} step - The step
+ * @returns {string} - The step as text
+ */
+function formatTraceStep({ step, input, output, reason }) {
+  const formatted = step === 'isValidDate' ? `${input} -> ${output ? 'valid' : 'invalid'}`
+    : ['cleanupFilename', 'cleanupRest', 'renormalizeName'].includes(step) ? `"${input}" -> "${output}"`
+    : `${input} -> ${output}`;
+  return `${step}: ${formatted}${reason ? ` (${reason})` : ''}`;
+}
+
+/**
+ * Print the explanation of how a filename is handled, see {@link explainFilename}
+ * @param {string} filename - The filename
+ * @param {object} options - Options, see {@link planRenames}
+ */
+function explainCommand(filename, options) {
+  const { patterns, result, decision, steps } = explainFilename(filename, options);
+  
+  console.log(`Explaining: ${filename}`);
+  console.log(`Locales: ${options.locales.join(', ')}`);
+  console.log(`Template: ${getTemplate(options)}`);
+  
+  console.log('\nPatterns in order of precedence:');
+  patterns.forEach((trace, index) => {
+    const { result: match } = trace;
+    if (!match) {
+      console.log(`  ${index + 1}. ${trace.pattern}: no match`);
+      // e.g. why a week number was rejected
+      for (const step of trace.steps) {
+        console.log(`       ${formatTraceStep(step)}`);
+      }
+      return;
+    }
+    
+    const text = filename.substring(...match.span);
+    const time = match.time ? ` ${match.time.hour}:${match.time.minute}${match.time.second ? `:${match.time.second}` : ''}` : '';
+    console.log(`  ${index + 1}. ${trace.pattern}: "${text}" -> ${formatCandidateDate(match)}${time}, rest "${match.restOfFilename}" (${match.matchedPattern})`);
+    for (const step of trace.steps) {
+      console.log(`       ${formatTraceStep(step)}`);
+    }
+    for (const { reason, ...alternative } of match.alternatives ?? []) {
+      console.log(`       alternative: ${formatCandidateDate(alternative)} (${reason})`);
+    }
+    if (trace.skipped) {
+      console.log(`       not used: ${trace.skipped}`);
+    }
+  });
+  
+  if (result) {
+    console.log('\nCandidates:');
+    for (const candidate of result.candidates) {
+      console.log(`  - ${formatCandidateDate(candidate)} (confidence ${candidate.confidence}${candidate.valid ? '' : ', invalid'}): ${candidate.reason}`);
+    }
+  }
+  
+  console.log('\nDecision:');
+  for (const step of steps) {
+    console.log(`  ${formatTraceStep(step)}`);
+  }
+  switch (decision.status) {
+    case 'rename':
+      console.log(`  Rename to: ${decision.newFilename}${formatNotes(decision)}`);
+      break;
+    case 'already-formatted':
+      console.log(`  Already in correct format${formatNotes(decision)}`);
+      break;
+    default:
+      console.log(`  ${decision.message}`);
+  }
+  console.log('');
+}
+
+/**
+ * Create the state of an interactive review, see {@link reviewEntry}
+ * @returns {{rl: readline.Interface, lines: string[], waiting: Function|null, closed: boolean, acceptedPatterns: Set<string>, quit: boolean}} - The state
+ */
+function createReview() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const review = { rl, lines: [], waiting: null, closed: false, acceptedPatterns: new Set(), quit: false };
+  
+  // Queue the answers, so that none get lost when they are piped in faster than asked for
+  rl.on('line', line => {
+    review.lines.push(line);
+    review.waiting?.();
+  });
+  rl.on('close', () => {
+    review.closed = true;
+    review.waiting?.();
+  });
+  return review;
+}
+
+/**
+ * Ask the user during an interactive review
+ * @param {object} review - The review state, see {@link createReview}
+ * @param {string} prompt - The question
+ * @param {string} [prefill] - Text to put into the answer for editing (only on a terminal)
+ * @returns {Promise<string|null>} - The answer, `null` if the input was closed (e.g. Ctrl-D)
+ */
+async function ask(review, prompt, prefill) {
+  review.rl.setPrompt(prompt);
+  review.rl.prompt();
+  if (prefill && review.rl.terminal) {
+    review.rl.write(prefill);
+  }
+  while (review.lines.length === 0 && !review.closed) {
+    await new Promise(resolve => { review.waiting = resolve; });
+  }
+  review.waiting = null;
+  if (review.lines.length === 0) {
+    console.log('');
+    return null;
+  }
+  return review.lines.shift();
+}
+
+/**
+ * Let the user review a planned rename: accept it, decline it, edit the new name, pick another of the candidate
+ * dates, accept all remaining renames of the same pattern, or quit (declining all remaining renames).
+ * 
+ * The entry is modified in place: afterwards its status is either `'rename'` (maybe with another `newFilename`)
+ * or `'declined'`. A changed name is checked for conflicts like the planned ones, so with `options.onConflict` it may
+ * get a suffix or the status `'conflict'`, see {@link resolveConflicts}.
+ * 
+ * An edited name keeps the extension of the file: it is added if missing, and changing it has to be confirmed.
+ * 
+ * @param {object} entry - Plan entry with status `'rename'` or `'ambiguous'`, see {@link planRenames}
+ * @param {object} options - Options, `options.review` is the review state, see {@link createReview},
+ *                           `options.takenNames` the names taken by the plan, see {@link createTakenNames}
+ */
+async function reviewEntry(entry, options) {
+  const { review } = options;
+  
+  if (review.quit) {
+    entry.status = 'declined';
+    return;
+  }
+  if (entry.status === 'rename' && review.acceptedPatterns.has(entry.matchedPattern)) {
+    return;
+  }
+  
+  // One choice per distinct valid date
+  const choices = [];
+  for (const candidate of entry.candidates ?? []) {
+    if (candidate.valid && !choices.some(choice => formatCandidateDate(choice) === formatCandidateDate(candidate))) {
+      choices.push(candidate);
+    }
+  }
+  
+  const rename = async newFilename => {
+    entry.status = 'rename';
+    entry.newFilename = newFilename;
+    // In archive mode, the folder depends on the (possibly picked) date
+    entry.newDirectory = getNewDirectory(entry.directory, entry, options);
+    entry.newPath = path.join(entry.newDirectory ?? entry.directory, newFilename);
+    entry.timestamps = getTimestamps(entry, options);
+    entry.conflictMessage = undefined;
+    await resolveConflicts([entry], options);
+  };
+  
+  console.log('');
+  if (entry.status === 'rename') {
+    console.log(`${entry.newDirectory ? 'Move' : 'Rename'}: ${entry.oldFilename} -> ${displayNewName(entry)}${formatNotes(entry)}`);
+  } else {
+    console.log(`${entry.message}`);
+  }
+  if (choices.length > 1) {
+    choices.forEach((candidate, index) => {
+      console.log(`  [${index + 1}] ${formatFilename(entry.oldFilename, candidate, options)} (confidence ${candidate.confidence}): ${candidate.reason}`);
+    });
+  }
+  
+  const actions = [
+    entry.status === 'rename' && '[y]es',
+    '[n]o',
+    '[e]dit',
+    choices.length > 1 && `[1-${choices.length}] pick date`,
+    entry.status === 'rename' && '[a]ll with this pattern',
+    '[q]uit'
+  ].filter(Boolean).join(', ');
+  
+  for (;;) {
+    // End of input is handled like "quit"
+    const answer = (await ask(review, `${actions}? `) ?? 'q').trim().toLowerCase();
+    const choice = choices[parseInt(answer, 10) - 1];
+    
+    if (answer === 'y' && entry.status === 'rename') {
+      return;
+    } else if (answer === 'n') {
+      entry.status = 'declined';
+      return;
+    } else if (answer === 'a' && entry.status === 'rename') {
+      review.acceptedPatterns.add(entry.matchedPattern);
+      return;
+    } else if (answer === 'q') {
+      review.quit = true;
+      entry.status = 'declined';
+      return;
+    } else if (choice && /^\d+$/.test(answer)) {
+      const { alternative, confidence, reason, valid, ...date } = choice;
+      Object.assign(entry, date);
+      await rename(formatFilename(entry.oldFilename, choice, options));
+      return;
+    } else if (answer === 'e') {
+      let newFilename = (await ask(review, 'New name: ', entry.newFilename ?? entry.oldFilename))?.trim();
+      if (newFilename === undefined) {
+        review.quit = true;
+        entry.status = 'declined';
+        return;
+      }
+      if (!newFilename || newFilename === '.' || newFilename === '..' || UNSAFE_FILENAME_CHARS.test(newFilename)) {
+        console.log('Not a valid filename (must not be empty or contain path separators, control characters or any of :*?"<>|)');
+        continue;
+      }
+      
+      // Keep the extension, unless the user confirms to change it
+      const extension = path.extname(entry.oldFilename);
+      const newExtension = path.extname(newFilename);
+      if (extension && newExtension.toLowerCase() !== extension.toLowerCase()) {
+        const change = newExtension
+          && (await ask(review, `Change the extension from "${extension}" to "${newExtension}"? [y]es, [n]o (keep "${extension}")? `))?.trim().toLowerCase() === 'y';
+        if (!change) {
+          newFilename += extension;
+        }
+      }
+      
+      if (newFilename === entry.oldFilename && !entry.newDirectory) {
+        entry.status = 'declined';
+        return;
+      }
+      await rename(newFilename);
+      return;
+    }
+  }
+}
+
+/**
+ * Format additional information about a plan entry for output, e.g. where the date came from
+ * @param {object} entry - Plan entry, see {@link planRenames}
+ * @returns {string} - The notes in parentheses, prefixed with a space, or an empty string if there are none
+ */
+function formatNotes(entry) {
+  const { contentDate } = entry;
+  const notes = [
+    entry.inferred && `date inferred from ${entry.inferred}`,
+    entry.picked && `${entry.picked.count} dates, picked ${entry.picked.policy}: "${entry.picked.text}"`,
+    entry.renormalized && `re-normalized: ${entry.renormalized}`,
+    entry.yearSource && `year from ${YEAR_SOURCES[entry.yearSource]}`,
+    entry.dayAssumed && `first day of ${formatCandidateDate(entry)} assumed`,
+    entry.resolvedBy && `ambiguous, picked ${entry.resolvedBy === 'best' ? 'highest confidence' : 'first match'}`,
+    entry.contentMismatch && `${contentDate.source} says ${contentDate.year}-${contentDate.month}-${contentDate.day}`,
+    entry.conflictMessage,
+    entry.timestamps && `${entry.timestamps.atime ? 'mtime and atime' : 'mtime'} ${formatTimestamp(entry.timestamps.mtime)}`
+  ].filter(Boolean);
+  return notes.length ? ` (${notes.join('; ')})` : '';
+}
+
+/**
+ * List a directory and - with `options.recursive` - all its subdirectories, parents before their children.
+ * 
+ * Hidden directories (starting with `.`) are not descended into. Symbolic links to directories are only
+ * followed with `options.symlinks === 'follow'`; each real directory is visited only once, so link cycles
+ * are no problem.
+ * 
+ * @param {string} root - Directory path to start with
+ * @param {object} [options] - Options
+ * @param {boolean} [options.recursive] - Whether to include subdirectories
+ * @param {number} [options.maxDepth] - Maximum depth below `root` (0: only `root` itself; default: unlimited)
+ * @param {'skip'|'follow'} [options.symlinks] - Policy for symbolic links to directories (default: `'skip'`)
+ * @returns {Promise<string[]>} - The directory paths
+ */
+async function listDirectories(root, options = {}) {
+  // Fails if the root directory does not exist
+  const visited = new Set([await fs.realpath(root)]);
+  const result = [];
+  const maxDepth = options.recursive ? (options.maxDepth ?? Infinity) : 0;
+  
+  async function visit(directory, depth) {
+    result.push(directory);
+    if (depth >= maxDepth) return;
+    
+    let dirents;
+    try {
+      dirents = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      // Unreadable directories are reported when they get processed
+      return;
+    }
+    dirents.sort((a, b) => a.name.localeCompare(b.name));
+    
+    for (const dirent of dirents) {
+      if (dirent.name.startsWith('.')) continue;
+      const subdirectory = path.join(directory, dirent.name);
+      
+      if (dirent.isSymbolicLink()) {
+        if (options.symlinks !== 'follow') continue;
+        try {
+          if (!(await fs.stat(subdirectory)).isDirectory()) continue;
+        } catch (error) {
+          // dangling link
+          continue;
+        }
+      } else if (!dirent.isDirectory()) {
+        continue;
+      }
+      
+      const realPath = await fs.realpath(subdirectory);
+      if (visited.has(realPath)) continue;
+      visited.add(realPath);
+      
+      await visit(subdirectory, depth + 1);
+    }
+  }
+  
+  await visit(root, 0);
+  return result;
+}
+
+/**
+ * Plan the renames for all files in a directory without touching the file system.
+ * 
+ * Each entry of the returned plan has a `status`:
+ * - `'rename'`: the file gets renamed from `oldPath` to `newPath`; `inferred` is set if the date was not taken from
+ *   the name but from the document's content or the file's metadata, see {@link extractDateFromContent} and
+ *   {@link inferDateFromStats}; with `options.contentDate === 'check'`, `contentMismatch` is set if the date in the
+ *   content (`contentDate`) differs from the one in the name; in archive mode (`options.moveTo`), `newDirectory` is
+ *   the folder the file is moved to, see {@link getNewDirectory}
+ * - `'already-formatted'`: the file name already has a normalized date, see {@link isAlreadyFormatted}
+ * - `'conflict'`: the new name is already taken, `message` tells by which file, see {@link resolveConflicts}
+ * - `'ambiguous'`: the filename contains different possible dates, see {@link extractDateFromFilename};
+ *   with `options.ambiguous` set to `'best'` (highest confidence) or `'first'` (first matching pattern), the date is
+ *   picked instead and `resolvedBy` tells how
+ * - `'error'`: no (valid) date could be extracted, `message` tells why
+ * 
+ * With `options.setMtime`, entries with status `'rename'` (and `'already-formatted'` ones whose timestamps differ)
+ * have the new `timestamps` of the file, see {@link getTimestamps}.
+ * 
+ * With `options.recursive` the entries of all subdirectories are included, see {@link listDirectories}.
+ * Options not given are taken from the configuration files that apply to each directory, see {@link loadConfig}.
+ * 
+ * @param {string} directory - Directory path to process
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}, {@link formatFilename},
+ *                             {@link inferDateFromStats}, {@link listDirectories} and {@link resolveConflicts}
+ * @param {'fallback'|'check'} [options.contentDate] - Use the date in the document's content for files without date
+ *                             in the name (`'fallback'`), and also compare it with the date in the name (`'check'`)
+ * @param {'skip'|'best'|'first'} [options.ambiguous] - How to resolve ambiguous dates (default: `'skip'`)
+ * @returns {Promise<{directory: string, entries: object[]}>} - The rename plan
+ */
+async function planRenames(directory, options = {}) {
+  const entries = [];
+  
+  const directories = options.recursive ? await listDirectories(directory, options) : [directory];
+  for (const subdirectory of directories) {
+    entries.push(...await planDirectory(subdirectory, await resolveDirectoryOptions(subdirectory, options)));
+  }
+  
+  await resolveConflicts(entries, options);
+  
+  return { directory, entries };
+}
+
+/**
+ * Plan the renames for the files in a single directory, not including subdirectories
+ * @param {string} directory - Directory path to process
+ * @param {object} options - Options, see {@link planFile}
+ * @returns {Promise<object[]>} - The plan entries
+ */
+async function planDirectory(directory, options) {
+  // Read all files in the directory, fails if the directory does not exist
+  const files = await fs.readdir(directory);
+  const entries = [];
+  const fileOptions = withSiblingDates(files, options);
+  
+  for (const oldFilename of files) {
+    const entry = await planFile(directory, oldFilename, fileOptions);
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Add the dates in the names of the files of a directory to the options, for inferring missing years (see
+ * {@link inferYear}). Only dates with a year in the name count.
+ * @param {string[]} filenames - The names of the files in the directory
+ * @param {object} options - Options, see {@link extractDateFromFilename}
+ * @returns {object} - The options with `yearHints.siblingDates`
+ */
+function withSiblingDates(filenames, options) {
+  if (!(options.yearFrom ?? DEFAULT_YEAR_FROM).includes('siblings')) {
+    return options;
+  }
+  
+  const siblingDates = [];
+  for (const filename of filenames) {
+    if (filename === CONFIG_FILENAME || isIgnored(filename, options.ignore ?? DEFAULT_IGNORE)) continue;
+    const result = extractDateFromFilename(filename, options);
+    if (result && !result.yearSource && isValidDate(result.year, result.month, result.day, options)) {
+      siblingDates.push(new Date(result.year, result.month - 1, result.day));
+    }
+  }
+  return { ...options, yearHints: { ...options.yearHints, siblingDates } };
+}
+
+/**
+ * Plan the rename of a single file
+ * @param {string} directory - Directory containing the file
+ * @param {string} oldFilename - Current name of the file
+ * @param {object} options - Options, see {@link extractDateFromFilename}, `options.ignore` are the patterns of
+ *                           filenames to skip (default: {@link DEFAULT_IGNORE})
+ * @returns {Promise<object|null>} - The plan entry or null if the file is to be ignored (e.g., a directory)
+ */
+async function planFile(directory, oldFilename, options) {
+  // Skip the script itself and any hidden files (by default), and always the config file
+  if (oldFilename === CONFIG_FILENAME || isIgnored(oldFilename, options.ignore ?? DEFAULT_IGNORE)) {
+    return null;
+  }
+  
+  const oldPath = path.join(directory, oldFilename);
+  // Conflicts may be resolved over several directories, each by the strategy for its own directory
+  const entry = { directory, oldFilename, oldPath, onConflict: options.onConflict };
+  
+  try {
+    // Get file stats to check if it's a directory
+    const stats = await fs.stat(oldPath);
+    
+    // Skip directories
+    if (stats.isDirectory()) {
+      return null;
+    }
+    
+    // Extract date from filename, optionally fall back to the document's content or the file's metadata
+    let result = extractDateFromFilename(oldFilename, { ...options, yearHints: { ...options.yearHints, mtime: stats.mtime } });
+    
+    if (options.contentDate === 'check' || (options.contentDate === 'fallback' && !result)) {
+      const contentDate = await extractDateFromContent(oldPath, options);
+      if (contentDate && result) {
+        // Cross-check: keep the date from the filename, but report if the content says otherwise
+        entry.contentDate = contentDate;
+        entry.contentMismatch = `${contentDate.year}-${contentDate.month}-${contentDate.day}` !== `${result.year}-${result.month}-${result.day}`;
+      } else if (contentDate) {
+        result = {
+          year: contentDate.year,
+          month: contentDate.month,
+          day: contentDate.day,
+          restOfFilename: cleanupFilename(oldFilename, options),
+          matchedPattern: `Document content: ${contentDate.source}`,
+          inferred: contentDate.source
+        };
+      }
+    }
+    
+    result = result ?? inferDateFromStats(oldFilename, stats, options);
+    
+    let planned = planName(oldFilename, result, options);
+    // In archive mode, files that are already named correctly are moved into the folder of their date, too
+    const newDirectory = ['rename', 'already-formatted'].includes(planned.status) && planned.year
+      ? getNewDirectory(directory, planned, options) : undefined;
+    if (newDirectory) {
+      planned = { ...planned, status: 'rename', newDirectory };
+    }
+    const newPath = planned.status === 'rename' ? path.join(newDirectory ?? directory, planned.newFilename)
+      : planned.status === 'already-formatted' ? oldPath : undefined;
+    
+    // The date goes into the timestamps, unless it was taken from them; correctly named files only get them if different
+    const timestamps = newPath && planned.year && !STAT_SOURCES.includes(planned.inferred) ? getTimestamps(planned, options) : undefined;
+    // A time without seconds in the name (e.g. "14-30") matches any second of that minute
+    const unit = planned.time && !planned.time.second ? 60000 : 1;
+    const differs = (current, wanted) => Math.floor(current.getTime() / unit) !== Math.floor(wanted.getTime() / unit);
+    const stamp = timestamps && (planned.status === 'rename' || differs(stats.mtime, timestamps.mtime) ||
+      (timestamps.atime && differs(stats.atime, timestamps.atime)));
+    return { ...entry, ...planned, ...(newPath && { newPath }), ...(stamp && { timestamps }) };
+  } catch (error) {
+    return { ...entry, status: 'error', message: error.message, exception: error };
+  }
+}
+
+/**
+ * Decide what to do with a file, given the date extracted for it (see {@link planFile}).
+ * Also checks whether the name already has a date where the naming template puts it, see {@link isAlreadyFormatted}.
+ * @param {string} oldFilename - Current name of the file
+ * @param {object|null} result - The extracted date, see {@link extractDateFromFilename}
+ * @param {object} options - Options, see {@link planRenames}
+ * @returns {object} - The fields of the result, `status` (see {@link planRenames}), `message` and `newFilename`
+ */
+function planName(oldFilename, result, options) {
+  // Names that already have a date where the template puts it may still need some cleanup
+  const renormalized = options.renormalize && renormalizeName(oldFilename, options);
+  if (renormalized) {
+    return renormalized;
+  }
+  
+  const alreadyFormatted = isAlreadyFormatted(oldFilename, options);
+  
+  // The template's date format might not be one the patterns recognize (e.g. "yyyymmdd")
+  if (!result && alreadyFormatted) {
+    return { status: 'already-formatted', newFilename: oldFilename };
+  }
+  
+  if (!result) {
+    return { status: 'error', message: `Could not extract date from: ${oldFilename}` };
+  }
+  
+  // Candidates disagree about the date: only rename with an explicit resolution policy
+  if (result.ambiguous && !alreadyFormatted) {
+    const policy = options.ambiguous ?? 'skip';
+    if (policy === 'best') {
+      const { alternative, confidence, reason, valid, ...best } = bestCandidate(result.candidates);
+      result = { ...result, ...best, resolvedBy: policy };
+    } else if (policy === 'first') {
+      result = { ...result, resolvedBy: policy };
+    } else {
+      // With --pick, only the readings of the picked date count
+      const candidates = options.pick ? readingsOf(result.candidates, result) : result.candidates;
+      const dates = [...new Set(competingCandidates(candidates).map(formatCandidateDate))];
+      return { ...result, status: 'ambiguous', message: `Ambiguous date in: ${oldFilename} (${dates.join(' or ')})` };
+    }
+  }
+  
+  const { year, month, day } = result;
+  
+  // Validate date
+  if (!isValidDate(year, month, day, options)) {
+    return { ...result, status: 'error', message: `Invalid date extracted from: ${oldFilename} (${year}-${month}-${day})` };
+  }
+  
+  // If the file already has a date in the right place, keep the original filename
+  if (alreadyFormatted) {
+    return { ...result, status: 'already-formatted', newFilename: oldFilename };
+  }
+  
+  // A week, quarter or month without day is only expanded to its first day if asked for
+  if (result.precision && options.partialDates === 'first-day') {
+    result = { ...result, dayAssumed: true };
+  }
+  
+  const newFilename = formatFilename(oldFilename, result, options);
+  
+  // Skip if filename is already in the correct format
+  if (oldFilename === newFilename) {
+    return { ...result, status: 'already-formatted', newFilename };
+  }
+  
+  return { ...result, status: 'rename', newFilename };
+}
+
+/**
+ * Re-normalize a name that already has a date where the naming template puts it (with `options.renormalize`):
+ * 
+ * - a date without leading zeros is padded, e.g. `2023-1-5 Notizen.doc` becomes `2023-01-05 Notizen.doc`
+ * - other dates in the name that are the same are removed, e.g. `2023-01-05 Protokoll 05.01.2023.docx` becomes
+ *   `2023-01-05 Protokoll.docx` (for dates without year, month and day have to be the same)
+ * - if another date in the name is different, e.g. `2023-01-05 Protokoll 12.01.2023.docx`, the name is reported
+ *   as ambiguous; the candidates are the date where the template puts it and the other date(s), each without the other
+ * 
+ * @param {string} oldFilename - Current name of the file
+ * @param {object} options - Options, see {@link planRenames}
+ * @returns {object|null} - Like {@link planName}, `renormalized` tells what was changed; null if the name has no
+ *                          valid date where the template puts it
+ */
+function renormalizeName(oldFilename, options) {
+  const parts = matchTemplate(oldFilename, options);
+  if (!parts) return null;
+  
+  const date = {
+    year: parts.yyyy ?? normalizeYear(parts.yy, options),
+    month: parts.mm.padStart(2, '0'),
+    day: parts.dd.padStart(2, '0'),
+    matchedPattern: 'Date where the template puts it'
+  };
+  if (!isValidDate(date.year, date.month, date.day, options)) return null;
+  
+  // Keep the end of a range and the time of day, e.g. "--07-02" and " 14-30"
+  const [, endYear, endMonth, endDay] = /^--(?:(?:(\d{4})-)?(\d{2})-)?(\d{2})$/.exec(parts.range ?? '') ?? [];
+  if (endDay) {
+    date.end = { year: endYear ?? date.year, month: endMonth ?? date.month, day: endDay };
+  }
+  const [, hour, minute] = /(\d{2})-(\d{2})/.exec(parts.time ?? '') ?? [];
+  if (hour) {
+    date.time = { hour, minute };
+  }
+  
+  const sameDate = candidate => candidate.yearSource
+    ? candidate.month === date.month && candidate.day === date.day
+    : formatCandidateDate(candidate) === formatCandidateDate(date);
+  
+  // Remove the other dates that are the same, one after the other
+  const changes = [];
+  if (parts.mm.length < 2 || parts.dd.length < 2) {
+    changes.push('added leading zeros');
+  }
+  let rest = `${parts.rest ?? ''}${parts.ext ?? ''}`;
+  for (;;) {
+    const result = extractDateFromFilename(rest, { ...options, trace: undefined });
+    const same = result?.candidates.find(candidate => candidate.valid && sameDate(candidate));
+    if (same) {
+      changes.push(`removed "${rest.substring(...same.span)}"`);
+      options.trace?.push({ step: 'renormalizeName', input: rest, output: same.restOfFilename, reason: `same date, ${same.matchedPattern}` });
+      rest = same.restOfFilename;
+      continue;
+    }
+    
+    const different = result?.candidates.filter(candidate => candidate.valid && !candidate.alternative) ?? [];
+    if (different.length > 0) {
+      const candidates = [
+        { ...date, restOfFilename: different[0].restOfFilename, confidence: 1, reason: 'date where the template puts it', valid: true },
+        ...different
+      ];
+      return {
+        ...date,
+        restOfFilename: rest,
+        candidates,
+        status: 'ambiguous',
+        message: `Conflicting dates in: ${oldFilename} (${formatCandidateDate(date)}, but also ${different.map(formatCandidateDate).join(', ')})`
+      };
+    }
+    break;
+  }
+  
+  const newFilename = formatFilename(oldFilename, { ...date, restOfFilename: rest }, options);
+  if (newFilename === oldFilename) {
+    return { ...date, restOfFilename: rest, status: 'already-formatted', newFilename };
+  }
+  return { ...date, restOfFilename: rest, status: 'rename', newFilename, renormalized: changes.join(', ') };
+}
+
+// Default naming template for normalized filenames, see {@link formatFilename}
+const DEFAULT_TEMPLATE = '{yyyy}-{mm}-{dd}{range} {rest}{ext}';
+
+// Placeholders of naming templates and the regex matching their values in existing filenames
+const TEMPLATE_PLACEHOLDERS = {
+  yyyy: '\\d{4}',
+  yy: '\\d{2}',
+  mm: '\\d{2}',
+  dd: '\\d{2}',
+  range: '(?:--(?:(?:\\d{4}-)?\\d{2}-)?\\d{2})?',
+  time: '(?: \\d{2}-\\d{2})?',
+  rest: '.*?',
+  ext: '(?:\\.[^.]*)?',
+  pattern: '[a-z0-9-]*?'
+};
+
+// Placeholders carrying (part of) the date
+const DATE_PLACEHOLDERS = ['yyyy', 'yy', 'mm', 'dd', 'range', 'time'];
+
+// Characters not allowed in file names on at least one common platform
+const UNSAFE_FILENAME_CHARS = /[\/\\:*?"<>|\x00-\x1f]/;
+
+/**
+ * Split a naming template into literal text and placeholders
+ * @param {string} template - The template, e.g. `{yyyy}-{mm}-{dd} {rest}{ext}`
+ * @returns {Array<{literal: string}|{placeholder: string}>} - The parts in order
+ */
+function parseTemplate(template) {
+  const parts = [];
+  const regex = /\{([^{}]*)\}/g;
+  let position = 0;
+  for (const match of template.matchAll(regex)) {
+    if (match.index > position) {
+      parts.push({ literal: template.substring(position, match.index) });
+    }
+    parts.push({ placeholder: match[1] });
+    position = match.index + match[0].length;
+  }
+  if (position < template.length) {
+    parts.push({ literal: template.substring(position) });
+  }
+  return parts;
+}
+
+/**
+ * Validate that a naming template always yields a safe filename that keeps the date, the name and the extension
+ * @param {string} template - The template
+ * @throws {Error} - If the template is not valid, the message tells why
+ */
+function validateTemplate(template) {
+  const parts = parseTemplate(template);
+  const placeholders = parts.filter(part => part.placeholder !== undefined).map(part => part.placeholder);
+  const literals = parts.filter(part => part.literal !== undefined).map(part => part.literal).join('');
+  
+  const unknown = placeholders.filter(placeholder => !(placeholder in TEMPLATE_PLACEHOLDERS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder(s) in template: ${unknown.map(p => `{${p}}`).join(', ')} (known: ${Object.keys(TEMPLATE_PLACEHOLDERS).map(p => `{${p}}`).join(', ')})`);
+  }
+  if (/[{}]/.test(literals)) {
+    throw new Error(`Unbalanced braces in template: ${template}`);
+  }
+  if (UNSAFE_FILENAME_CHARS.test(literals)) {
+    throw new Error(`Template must not contain path separators, control characters or any of :*?"<>|`);
+  }
+  if (!placeholders.includes('yyyy') && !placeholders.includes('yy')) {
+    throw new Error('Template must contain the year: {yyyy} or {yy}');
+  }
+  if (!placeholders.includes('mm') || !placeholders.includes('dd')) {
+    throw new Error('Template must contain the month and day: {mm} and {dd}');
+  }
+  if (!placeholders.includes('rest')) {
+    throw new Error('Template must contain the rest of the filename: {rest}');
+  }
+  if (parts[parts.length - 1]?.placeholder !== 'ext') {
+    throw new Error('Template must end with the file extension: {ext}');
+  }
+  if (template.startsWith('.')) {
+    throw new Error('Template must not start with "." (hidden file)');
+  }
+}
+
+// Compiled "already formatted" regexes, by template and handling of partial dates
+const templateRegexCache = new Map();
+
+// Value of `{mm}` for partial dates: the month, the ISO week (e.g. `W12`) or the quarter (e.g. `Q3`)
+const PARTIAL_MONTH_PLACEHOLDER = '(?:\\d{2}|W\\d{2}|Q[1-4])';
+
+/**
+ * Check whether a filename already has a date where the naming template puts it.
+ * 
+ * Only the part of the template up to the (last) date placeholder has to match exactly; e.g. for the default
+ * template the name has to start with `yyyy-mm-dd`, no matter what follows. Unless `options.partialDates` is
+ * `'first-day'`, partial dates as written by {@link formatFilename} count, too, e.g. `yyyy-mm`, `yyyy-Www` or `yyyy-Qq`.
+ * 
+ * @param {string} filename - The filename
+ * @param {object} [options] - Options, see {@link getTemplate}
+ * @returns {boolean} - Whether the filename is already formatted
+ */
+function isAlreadyFormatted(filename, options = {}) {
+  const template = getTemplate(options);
+  const keepPartial = options.partialDates !== 'first-day';
+  const key = `${keepPartial}:${template}`;
+  
+  if (!templateRegexCache.has(key)) {
+    const parts = parseTemplate(template);
+    const patterns = [templatePattern(parts, TEMPLATE_PLACEHOLDERS)];
+    if (keepPartial) {
+      patterns.push(templatePattern(withoutDay(parts), { ...TEMPLATE_PLACEHOLDERS, mm: PARTIAL_MONTH_PLACEHOLDER }));
+    }
+    templateRegexCache.set(key, new RegExp(patterns.join('|')));
+  }
+  
+  return templateRegexCache.get(key).test(filename);
+}
+
+/**
+ * Get the position of the last date placeholder in a parsed naming template
+ * @param {Array<{literal: string}|{placeholder: string}>} parts - The parsed template, see {@link parseTemplate}
+ * @returns {number} - The index, -1 if there is none
+ */
+function lastDatePlaceholderIndex(parts) {
+  return parts.map(part => DATE_PLACEHOLDERS.includes(part.placeholder)).lastIndexOf(true);
+}
+
+/**
+ * Build the regex pattern matching names in the format of a naming template, see {@link isAlreadyFormatted}
+ * @param {Array<{literal: string}|{placeholder: string}>} parts - The parsed template, see {@link parseTemplate}
+ * @param {object} placeholders - The regex for each placeholder, see {@link TEMPLATE_PLACEHOLDERS}
+ * @returns {string} - The pattern, anchored at the start (and at the end if the rest doesn't follow the date)
+ */
+function templatePattern(parts, placeholders) {
+  const lastDateIndex = lastDatePlaceholderIndex(parts);
+  const remainder = parts.slice(lastDateIndex + 1);
+  // If the rest of the name follows the date, anything may follow; otherwise the end has to match, too
+  const compared = remainder.some(part => part.placeholder === 'rest') ? parts.slice(0, lastDateIndex + 1) : parts;
+  
+  const pattern = compared
+    .map(part => part.literal !== undefined ? escapeRegExp(part.literal) : placeholders[part.placeholder])
+    .join('');
+  return `^${pattern}${compared === parts ? '$' : ''}`;
+}
+
+/**
+ * Remove the day from a parsed naming template, for dates without day (see {@link formatFilename}).
+ * The separator between the day and the month or year goes with it, e.g. `{yyyy}-{mm}-{dd}` becomes `{yyyy}-{mm}`.
+ * @param {Array<{literal: string}|{placeholder: string}>} parts - The parsed template, see {@link parseTemplate}
+ * @returns {Array<{literal: string}|{placeholder: string}>} - The parts without the day
+ */
+function withoutDay(parts) {
+  const index = parts.findIndex(part => part.placeholder === 'dd');
+  const isYearOrMonth = part => ['yyyy', 'yy', 'mm'].includes(part?.placeholder);
+  if (parts[index - 1]?.literal !== undefined && isYearOrMonth(parts[index - 2])) {
+    return [...parts.slice(0, index - 1), ...parts.slice(index + 1)];
+  }
+  if (parts[index + 1]?.literal !== undefined && isYearOrMonth(parts[index + 2])) {
+    return [...parts.slice(0, index), ...parts.slice(index + 2)];
+  }
+  return [...parts.slice(0, index), ...parts.slice(index + 1)];
+}
+
+// Compiled regexes matching names in the format of a template, by template, see matchTemplate()
+const templateMatchCache = new Map();
+
+/**
+ * Match a filename against the naming template, also if month or day have no leading zero (e.g. `2023-1-5`)
+ * @param {string} filename - The filename
+ * @param {object} [options] - Options, see {@link getTemplate}
+ * @returns {object|null} - The text of each placeholder, e.g. `{yyyy: '2023', mm: '1', dd: '5', rest: 'Notizen', ext: '.doc'}`,
+ *                          null if the name is not in the format of the template
+ */
+function matchTemplate(filename, options = {}) {
+  const template = getTemplate(options);
+  
+  if (!templateMatchCache.has(template)) {
+    const placeholders = { ...TEMPLATE_PLACEHOLDERS, mm: '\\d{1,2}', dd: '\\d{1,2}' };
+    const named = new Set();
+    const pattern = parseTemplate(template).map(part => {
+      if (part.literal !== undefined) return escapeRegExp(part.literal);
+      // Placeholders used more than once are only captured the first time
+      if (named.has(part.placeholder)) return `(?:${placeholders[part.placeholder]})`;
+      named.add(part.placeholder);
+      return `(?<${part.placeholder}>${placeholders[part.placeholder]})`;
+    }).join('');
+    templateMatchCache.set(template, new RegExp(`^${pattern}$`));
+  }
+  
+  return templateMatchCache.get(template).exec(filename)?.groups ?? null;
+}
+
+/**
+ * Get the naming template to use
+ * @param {object} [options] - Options, `options.template` is the naming template (default: {@link DEFAULT_TEMPLATE});
+ *                             `options.time` `'keep'` adds `{time}` after the date if the template doesn't have it,
+ *                             `'drop'` removes it
+ * @returns {string} - The template
+ */
+function getTemplate(options = {}) {
+  const template = options.template ?? DEFAULT_TEMPLATE;
+  
+  if (options.time === 'drop') {
+    return template.split('{time}').join('');
+  }
+  if (options.time === 'keep' && !template.includes('{time}')) {
+    const parts = parseTemplate(template);
+    parts.splice(lastDatePlaceholderIndex(parts) + 1, 0, { placeholder: 'time' });
+    return parts.map(part => part.literal ?? `{${part.placeholder}}`).join('');
+  }
+  return template;
+}
+
+/**
+ * Derive a short identifier of the matched pattern for use in filenames, e.g. `german-style-date`
+ * @param {string} matchedPattern - The description of the matched pattern
+ * @returns {string} - The identifier
+ */
+function patternSlug(matchedPattern) {
+  return matchedPattern.split(':')[0].trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Format the end of a date range as short as possible, e.g. `--19`, `--07-02` or `--2023-01-02`
+ * @param {{year: string, month: string, end?: {year: string, month: string, day: string}}} date - The extracted date
+ * @returns {string} - The end of the range including the leading `--`, or an empty string if the date is no range
+ */
+function formatRangeEnd(date) {
+  const { end } = date;
+  if (!end) return '';
+  if (end.year !== date.year) return `--${end.year}-${end.month}-${end.day}`;
+  if (end.month !== date.month) return `--${end.month}-${end.day}`;
+  return `--${end.day}`;
+}
+
+/**
+ * Create the new filename from the extracted date and the naming template.
+ * 
+ * Placeholders: `{yyyy}`, `{yy}`, `{mm}`, `{dd}` (the date, or start date of a range), `{range}` (end of a date range,
+ * see {@link formatRangeEnd}), `{time}` (time of day as ` HH-MM` including the leading space, empty if there's none),
+ * `{rest}` (rest of the filename without extension), `{ext}` (extension including the dot, may be empty) and
+ * `{pattern}` (identifier of the matched pattern). Without `{range}`, the end of ranges is dropped; without `{time}`,
+ * the time stays in the rest (with `options.time` `'drop'`, it is dropped). The rest is cleaned up first, see {@link cleanupRest}; with `options.maxLength`, it is shortened so that
+ * the whole name has at most that many characters (if possible).
+ * 
+ * Dates without day (a month, ISO week or quarter, see `precision` of {@link extractDateFromFilename}) are written
+ * without `{dd}` and with the week or quarter as `{mm}`, e.g. `2023-06`, `2024-W12` or `2023-Q3`. With
+ * `options.partialDates` `'first-day'`, they are written as their first day instead, e.g. `2024-03-18` for `2024-W12`.
+ * 
+ * @param {string} oldFilename - The current filename
+ * @param {{year: string, month: string, day: string, restOfFilename: string, matchedPattern: string}} date - The
+ *        extracted date, see {@link extractDateFromFilename}
+ * @param {object} [options] - Options, see {@link getTemplate} and {@link cleanupRest}
+ * @returns {string} - The new filename
+ */
+function formatFilename(oldFilename, date, options = {}) {
+  const template = getTemplate(options);
+  const partial = date.precision && options.partialDates !== 'first-day' ? date.period : undefined;
+  
+  // Take the extension from the original name; the rest might have lost it (or its dot) during cleanup
+  let ext = path.extname(oldFilename);
+  // The time of day stays in the rest unless the template takes it or it is dropped
+  const keepTimeInRest = date.restWithTime !== undefined && !template.includes('{time}') && options.time !== 'drop';
+  let rest = keepTimeInRest ? date.restWithTime : date.restOfFilename;
+  if (ext && rest.endsWith(ext)) {
+    rest = rest.substring(0, rest.length - ext.length);
+  } else if (ext && rest === ext.substring(1)) {
+    rest = '';
+  } else {
+    ext = '';
+  }
+  rest = cleanupRest(rest, options, { filename: oldFilename, span: date.span });
+  
+  const year = partial?.year ?? date.year;
+  const values = {
+    yyyy: year,
+    yy: year.slice(-2),
+    mm: partial?.label ?? date.month,
+    dd: date.day,
+    range: formatRangeEnd(date),
+    time: date.time ? ` ${date.time.hour}-${date.time.minute}` : '',
+    rest,
+    ext,
+    pattern: patternSlug(date.matchedPattern ?? '')
+  };
+  
+  const parts = parseTemplate(template);
+  // An empty rest may leave separators dangling at the start, the end or before the extension
+  const render = () => (partial ? withoutDay(parts) : parts)
+    .map(part => part.literal !== undefined ? part.literal : values[part.placeholder])
+    .join('')
+    .replace(/^[\s\-_]+/, '')
+    .replace(/[\s\-_]+(?=(\.[^.]*)?$)/, '');
+  
+  // Only the rest is shortened, never the date or the extension
+  let filename = render();
+  const excess = Array.from(filename).length - (options.maxLength ?? Infinity);
+  if (excess > 0 && rest) {
+    values.rest = truncateRest(rest, excess);
+    options.trace?.push({ step: 'cleanupRest', input: rest, output: values.rest, reason: `Shorten to ${options.maxLength} characters` });
+    filename = render();
+  }
+  return filename;
+}
+
+// Separators between the words of the rest of the filename, see cleanupRest()
+const SEPARATOR_STYLES = { keep: null, space: ' ', underscore: '_', hyphen: '-' };
+
+// Casing rules for the rest of the filename, see cleanupRest()
+const CASING_RULES = {
+  keep: text => text,
+  lower: text => text.toLowerCase(),
+  upper: text => text.toUpperCase(),
+  // Only the first letter of each word is changed, e.g. "Notizen vom PC" becomes "Notizen Vom PC"
+  title: text => text.replace(/(?<![\p{L}\p{N}'’])\p{Ll}/gu, letter => letter.toUpperCase())
+};
+
+// Steps of cleanupRest(), in order; each one leaves the rest unchanged unless its option is set
+const REST_CLEANUP_STEPS = [
+  { description: 'Remove dangling prepositions', apply: removeDanglingPrepositions },
+  { description: 'Apply replace rules', apply: applyReplaceRules },
+  { description: 'Change separators', apply: changeSeparators },
+  { description: 'Change casing', apply: (rest, options) => CASING_RULES[options.casing]?.(rest) ?? rest }
+];
+
+/**
+ * Clean up the rest of the filename (without extension) before it is put into the new name, see {@link REST_CLEANUP_STEPS}
+ * @param {string} rest - The rest of the filename
+ * @param {object} [options] - Options, `options.prepositions` (default: true), `options.replace`, `options.separator`
+ *                             and `options.casing`; the steps that changed something are added to `options.trace` (if set)
+ * @param {{filename?: string, span?: number[]}} [source] - The filename the rest comes from and the position of the
+ *                                                          date in it, if known
+ * @returns {string} - The cleaned up rest
+ */
+function cleanupRest(rest, options = {}, source = {}) {
+  return REST_CLEANUP_STEPS.reduce((result, { description, apply }) => {
+    const cleaned = apply(result, options, source)
+      .replace(/\s{2,}/g, ' ')
+      .replace(/^[\s_-]+|[\s_-]+$/g, '');
+    if (cleaned !== result) {
+      options.trace?.push({ step: 'cleanupRest', input: result, output: cleaned, reason: description });
+    }
+    return cleaned;
+  }, rest);
+}
+
+/**
+ * Remove the prepositions of the selected locales (see {@link LOCALES}) that were in front of the removed date: the one
+ * right before the date (e.g. `Scan from 2023-05-01 final`) and those left at the start or end of the rest or next to
+ * a bracket or comma, e.g. `Notizen vom` or `Protokoll (Entwurf vom)`. Other prepositions are kept, e.g. `Bericht vom Vorstand`.
+ * @param {string} rest - The rest of the filename
+ * @param {object} options - Options, see {@link getLocaleTable}; `options.prepositions` `false` turns this off
+ * @param {{filename?: string, span?: number[]}} source - The filename and the position of the date, see {@link cleanupRest}
+ * @returns {string} - The rest without dangling prepositions
+ */
+function removeDanglingPrepositions(rest, options, { filename, span }) {
+  if (options.prepositions === false) return rest;
+  
+  const { prepositionPattern } = getLocaleTable(options);
+  const word = `(?<![\\p{L}\\p{N}])${prepositionPattern}(?![\\p{L}\\p{N}])`;
+  
+  // The rest has the same words in the same order, so the preposition is found by counting
+  const before = span && new RegExp(`${word}[\\s_-]*$`, 'iu').exec(filename.substring(0, span[0]));
+  if (before) {
+    const index = filename.substring(0, before.index).match(new RegExp(word, 'giu'))?.length ?? 0;
+    const match = [...rest.matchAll(new RegExp(`${word}[\\s_-]*`, 'giu'))][index];
+    if (match) {
+      const tail = rest.substring(match.index + match[0].length);
+      const head = rest.substring(0, match.index);
+      rest = (/^[)\],]/.test(tail) ? head.replace(/[\s_-]+$/, '') : head) + tail;
+    }
+  }
+  
+  return rest
+    .replace(new RegExp(`^${word}[\\s_-]*`, 'iu'), '')
+    .replace(new RegExp(`(?:^|(?<![\\p{L}\\p{N}])[\\s_-]*)${word}$`, 'iu'), '')
+    .replace(new RegExp(`[\\s_-]+${word}[\\s_-]*(?=[)\\],])`, 'giu'), '')
+    .replace(new RegExp(`(?<=[(\\[])[\\s_-]*${word}[\\s_-]*`, 'giu'), '')
+    // Brackets that were around the date and the preposition only
+    .replace(/[\s_-]*(?:\(\s*\)|\[\s*\])/g, '');
+}
+
+/**
+ * Apply the user-defined search and replace rules to the rest of the filename, in order
+ * @param {string} rest - The rest of the filename
+ * @param {object} options - Options, `options.replace` are the rules, see {@link validateReplaceRule}
+ * @returns {string} - The rest after all replacements
+ */
+function applyReplaceRules(rest, options) {
+  return (options.replace ?? []).reduce(
+    (result, { regex, replacement = '', flags = 'gu' }) => result.replace(new RegExp(regex, flags), replacement),
+    rest
+  );
+}
+
+/**
+ * Validate a search and replace rule for the rest of the filename
+ * @param {object} rule - The rule: `regex`, `replacement` (default: empty, may refer to groups like `$1`) and the
+ *                        `flags` of the regex (default: `gu`, i.e. all matches, case-sensitive)
+ * @throws {Error} - If the rule is invalid
+ */
+function validateReplaceRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('must be an object with regex and replacement');
+  }
+  const { regex, replacement, flags, ...unknown } = rule;
+  if (typeof regex !== 'string' || !regex) {
+    throw new Error('needs a regex');
+  }
+  if (Object.keys(unknown).length > 0) {
+    throw new Error(`"${regex}" has unknown properties: ${Object.keys(unknown).join(', ')}`);
+  }
+  if (replacement !== undefined && typeof replacement !== 'string') {
+    throw new Error(`"${regex}": replacement must be a string`);
+  }
+  try {
+    new RegExp(regex, flags ?? 'gu');
+  } catch (error) {
+    throw new Error(`"${regex}": ${error.message}`);
+  }
+}
+
+/**
+ * Use the same separator between all words of the rest of the filename, see {@link SEPARATOR_STYLES}.
+ * Hyphens inside words are kept, e.g. `Süd-West`; a hyphen between spaces counts as a separator.
+ * @param {string} rest - The rest of the filename
+ * @param {object} options - Options, `options.separator` is the style (default: `keep`)
+ * @returns {string} - The rest with the separators changed
+ */
+function changeSeparators(rest, options) {
+  const separator = SEPARATOR_STYLES[options.separator];
+  if (!separator) return rest;
+  if (separator === ' ') {
+    return rest.replace(/_+/g, ' ');
+  }
+  return rest.replace(/[\s_]+-[\s_]+|[\s_]+/g, separator);
+}
+
+/**
+ * Shorten the rest of the filename by some characters, if possible at the end of a word
+ * @param {string} rest - The rest of the filename
+ * @param {number} excess - How many characters have to go
+ * @returns {string} - The shortened rest, may be empty
+ */
+function truncateRest(rest, excess) {
+  const characters = Array.from(rest);
+  const length = characters.length - excess;
+  if (length <= 0) return '';
+  
+  let truncated = characters.slice(0, length).join('');
+  // Don't cut a word in two, unless it's the only one
+  if (/[\p{L}\p{N}]/u.test(characters[length])) {
+    truncated = truncated.replace(/(?<=[^\s_-])[\s_-]+[^\s_-]*$/, '') || truncated;
+  }
+  return truncated.replace(/[\s_.,;(\[-]+$/, '');
+}
+
+// Placeholders of the target folders of the archive mode, see formatMoveTarget()
+const MOVE_TO_PLACEHOLDERS = ['yyyy', 'yy', 'mm', 'dd'];
+
+/**
+ * Validate the target folder template of the archive mode, e.g. `archive/{yyyy}/{mm}`
+ * @param {string} moveTo - The template
+ * @throws {Error} - If the template is not valid, the message tells why
+ */
+function validateMoveTo(moveTo) {
+  const parts = parseTemplate(moveTo);
+  const placeholders = parts.filter(part => part.placeholder !== undefined).map(part => part.placeholder);
+  const literals = parts.filter(part => part.literal !== undefined).map(part => part.literal).join('');
+  
+  const unknown = placeholders.filter(placeholder => !MOVE_TO_PLACEHOLDERS.includes(placeholder));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder(s): ${unknown.map(p => `{${p}}`).join(', ')} (known: ${MOVE_TO_PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+  }
+  if (/[{}]/.test(literals)) {
+    throw new Error(`Unbalanced braces: ${moveTo}`);
+  }
+  if (/[*?"<>|\x00-\x1f]/.test(literals)) {
+    throw new Error('Must not contain control characters or any of *?"<>|');
+  }
+}
+
+/**
+ * Get the folder a file is moved to in archive mode: `options.moveTo` with the placeholders `{yyyy}`, `{yy}`, `{mm}`
+ * and `{dd}` replaced by the date (the first day for dates without day, see {@link formatFilename})
+ * @param {string} directory - The directory the file is in
+ * @param {{year: string, month: string, day: string}} date - The date of the file
+ * @param {object} options - Options, `options.moveTo` is the template of the folders (relative to the current
+ *                           directory, see {@link loadConfig})
+ * @returns {string|undefined} - The folder, undefined if not in archive mode or the file is already in its folder
+ */
+function getNewDirectory(directory, date, options) {
+  if (!options.moveTo) return undefined;
+  
+  const values = { yyyy: date.year, yy: date.year.slice(-2), mm: date.month, dd: date.day };
+  const newDirectory = path.resolve(parseTemplate(options.moveTo).map(part => part.literal ?? values[part.placeholder]).join(''));
+  return newDirectory === path.resolve(directory) ? undefined : newDirectory;
+}
+
+/**
+ * Get the root of the target folders of the archive mode: the folder before the first placeholder
+ * @param {string} moveTo - The template of the folders, e.g. `/home/me/archive/{yyyy}/{mm}`
+ * @returns {string} - The root, e.g. `/home/me/archive`
+ */
+function getMoveToRoot(moveTo) {
+  const prefix = moveTo.split('{')[0];
+  return path.resolve(prefix.replace(/[^\\/]*$/, '') || '.');
+}
+
+/**
+ * Format the target folders of the archive mode with the files moved into them as a tree, e.g. for dry runs
+ * @param {Array<{root: string, entry: object}>} moves - The planned moves, each with the root of its target folders
+ *        (see {@link getMoveToRoot}) and the plan entry with `newDirectory` and `newFilename`
+ * @returns {string[]} - The lines of the tree, indented by two spaces per level; folders end with `/`
+ */
+function formatTargetTree(moves) {
+  const roots = new Map();
+  for (const { root, entry } of moves) {
+    let node = roots.get(root) ?? new Map();
+    roots.set(root, node);
+    for (const folder of path.relative(root, entry.newDirectory).split(path.sep).filter(Boolean)) {
+      const name = `${folder}/`;
+      if (!node.has(name)) node.set(name, new Map());
+      node = node.get(name);
+    }
+    node.set(entry.newFilename, null);
+  }
+  
+  const lines = [];
+  const addLines = (node, depth) => {
+    for (const [name, children] of [...node].sort(([a], [b]) => a.localeCompare(b))) {
+      lines.push(`${'  '.repeat(depth)}${name}`);
+      if (children) addLines(children, depth + 1);
+    }
+  };
+  for (const [root, node] of roots) {
+    lines.push(`${displayPath(root)}/`);
+    addLines(node, 1);
+  }
+  return lines;
+}
+
+/**
+ * Shorten a path for output: relative to the current directory if it's inside
+ * @param {string} filePath - The path
+ * @returns {string} - The relative or the absolute path
+ */
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return !relative ? '.' : relative.startsWith('..') || path.isAbsolute(relative) ? path.resolve(filePath) : relative;
+}
+
+/**
+ * Get the new name of a plan entry for output: the name, or the path if the file is moved to another folder
+ * @param {object} entry - Plan entry, see {@link planRenames}
+ * @returns {string} - The new name or path
+ */
+function displayNewName(entry) {
+  return entry.newDirectory ? displayPath(entry.newPath) : entry.newFilename;
+}
+
+/**
+ * Infer the date of a file from its metadata, for files without a date in their name.
+ * 
+ * Only used if enabled with `options.fallbackDate` and - if `options.fallbackExtensions` is given - only for files
+ * with one of these extensions. The date is taken in local time.
+ * 
+ * @param {string} filename - The filename
+ * @param {fs.Stats} stats - The file's stats
+ * @param {object} options - Options
+ * @param {'mtime'|'birthtime'|'ctime'} [options.fallbackDate] - Which timestamp to use, disabled if not set
+ * @param {string[]} [options.fallbackExtensions] - Lowercase extensions including the dot, e.g. `['.docx', '.pdf']`
+ * @returns {object|null} - Object like {@link extractDateFromFilename} with `inferred` set to the timestamp used,
+ *                          or null if disabled, not applicable or the timestamp is not available
+ */
+function inferDateFromStats(filename, stats, options) {
+  const source = options.fallbackDate;
+  if (!source) return null;
+  
+  const extension = path.extname(filename).toLowerCase();
+  if (options.fallbackExtensions && !options.fallbackExtensions.includes(extension)) {
+    return null;
+  }
+  
+  // Some file systems don't record the birth time, then it's reported as 0 (the epoch)
+  const date = stats[source];
+  if (!date || date.getTime() <= 0) {
+    return null;
+  }
+  
+  return {
+    year: date.getFullYear().toString(),
+    month: (date.getMonth() + 1).toString().padStart(2, '0'),
+    day: date.getDate().toString().padStart(2, '0'),
+    restOfFilename: cleanupFilename(filename, options),
+    matchedPattern: `Inferred from file ${source}`,
+    inferred: source
+  };
+}
+
+// Timestamps that inferDateFromStats() can take the date from
+const STAT_SOURCES = ['mtime', 'birthtime', 'ctime'];
+
+// Time of day for the timestamps of files whose name has no time, see getTimestamps()
+const DEFAULT_STAMP_TIME = '12:00';
+const STAMP_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Get the timestamps a file gets with `options.setMtime`: its date at the time in its name, or else at
+ * `options.stampTime` (default: {@link DEFAULT_STAMP_TIME}), in local time. Dates without day use their first day.
+ * @param {{year: string, month: string, day: string, time?: {hour: string, minute: string, second?: string}}} date - The date
+ * @param {object} options - Options, `options.setMtime` sets the modification time, `options.setAtime` the access time, too
+ * @returns {{mtime: Date, atime?: Date}|undefined} - The new timestamps (without `atime`, the access time is kept),
+ *                                                    undefined if not enabled
+ */
+function getTimestamps(date, options) {
+  if (!options.setMtime && !options.setAtime) return undefined;
+  
+  const [hour, minute, second = '0'] = date.time
+    ? [date.time.hour, date.time.minute, date.time.second]
+    : (options.stampTime ?? DEFAULT_STAMP_TIME).split(':');
+  const mtime = new Date(Number(date.year), Number(date.month) - 1, Number(date.day), Number(hour), Number(minute), Number(second));
+  return { mtime, ...(options.setAtime && { atime: mtime }) };
+}
+
+// Maximum number of bytes read from a file to find a date in its content
+const MAX_CONTENT_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Extract the date from the content of a document: the creation date of Office Open XML (DOCX, XLSX, PPTX) and
+ * OpenDocument (ODT, ODS, ODP) files, the `/CreationDate` of PDF files and `DateTimeOriginal` of JPEG files.
+ * 
+ * Only reads the file, no external tools or services are used.
+ * 
+ * @param {string} filePath - Path of the file
+ * @param {object} [options] - Options (currently unused)
+ * @returns {Promise<{year: string, month: string, day: string, source: string}|null>} - The date and where it was
+ *          found (e.g. `'docProps/core.xml'`), or null if the file type is not supported or it contains no date
+ */
+async function extractDateFromContent(filePath, options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  
+  try {
+    if (['.docx', '.docm', '.dotx', '.xlsx', '.xlsm', '.pptx', '.pptm'].includes(extension)) {
+      const xml = await readZipEntry(filePath, 'docProps/core.xml');
+      const match = xml && /<dcterms:created\b[^>]*>([^<]+)</.exec(xml);
+      return match && withSource(parseIsoDateTime(match[1]), 'docProps/core.xml');
+    }
+    
+    if (['.odt', '.ods', '.odp', '.odg'].includes(extension)) {
+      const xml = await readZipEntry(filePath, 'meta.xml');
+      const match = xml && /<meta:creation-date>([^<]+)</.exec(xml);
+      return match && withSource(parseIsoDateTime(match[1]), 'meta.xml');
+    }
+    
+    if (extension === '.pdf') {
+      return withSource(await readPdfCreationDate(filePath), 'PDF /CreationDate');
+    }
+    
+    if (['.jpg', '.jpeg'].includes(extension)) {
+      return withSource(await readExifDateTimeOriginal(filePath), 'EXIF DateTimeOriginal');
+    }
+  } catch (error) {
+    // Damaged or unexpected file content -> no date
+  }
+  
+  return null;
+}
+
+/**
+ * Add the source to a date, if any
+ * @param {{year: string, month: string, day: string}|null} date - The date
+ * @param {string} source - Where the date was found
+ * @returns {object|null} - The date with `source` or null
+ */
+function withSource(date, source) {
+  return date && { ...date, source };
+}
+
+/**
+ * Format a date as year, month and day strings in local time
+ * @param {Date} date - The date
+ * @returns {{year: string, month: string, day: string}|null} - The parts or null if the date is invalid
+ */
+function localDateParts(date) {
+  if (isNaN(date.getTime())) return null;
+  return {
+    year: date.getFullYear().toString(),
+    month: (date.getMonth() + 1).toString().padStart(2, '0'),
+    day: date.getDate().toString().padStart(2, '0')
+  };
+}
+
+/**
+ * Parse an ISO 8601 / W3CDTF date time like `2023-07-10T14:30:05Z`.
+ * With time zone the date is converted to local time, without it's taken as it is.
+ * @param {string} text - The date time
+ * @returns {{year: string, month: string, day: string}|null} - The date or null if it can't be parsed
+ */
+function parseIsoDateTime(text) {
+  const match = /^\s*(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?/.exec(text);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, zone] = match;
+  if (zone) {
+    return localDateParts(new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds ?? '00'}${zone}`));
+  }
+  return { year, month, day };
+}
+
+/**
+ * Read parts of a file
+ * @param {string} filePath - Path of the file
+ * @param {number} position - Offset to start reading at
+ * @param {number} length - Number of bytes to read (fewer at the end of the file)
+ * @returns {Promise<Buffer>} - The bytes read
+ */
+async function readFileRange(filePath, position, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read a single (small) text entry of a ZIP file, e.g. `docProps/core.xml` of an Office document.
+ * Supports stored and deflated entries, but no ZIP64 or encryption. Entries bigger than `MAX_CONTENT_BYTES` are not read.
+ * @param {string} filePath - Path of the ZIP file
+ * @param {string} entryName - Name of the entry
+ * @returns {Promise<string|null>} - The content as UTF-8 text or null if there is no such entry
+ */
+async function readZipEntry(filePath, entryName) {
+  const { size } = await fs.stat(filePath);
+  
+  // The end of central directory record is at the end, followed by a comment of up to 64 KiB
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = await readFileRange(filePath, size - tailLength, tailLength);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return null;
+  
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  const directory = await readFileRange(filePath, directoryOffset, Math.min(directorySize, MAX_CONTENT_BYTES));
+  
+  for (let i = 0; i + 46 <= directory.length && directory.readUInt32LE(i) === 0x02014b50;) {
+    const method = directory.readUInt16LE(i + 10);
+    const compressedSize = directory.readUInt32LE(i + 20);
+    const nameLength = directory.readUInt16LE(i + 28);
+    const extraLength = directory.readUInt16LE(i + 30);
+    const commentLength = directory.readUInt16LE(i + 32);
+    const localHeaderOffset = directory.readUInt32LE(i + 42);
+    const name = directory.toString('utf8', i + 46, i + 46 + nameLength);
+    
+    if (name === entryName) {
+      if (compressedSize > MAX_CONTENT_BYTES) return null;
+      const localHeader = await readFileRange(filePath, localHeaderOffset, 30);
+      const dataOffset = localHeaderOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+      const data = await readFileRange(filePath, dataOffset, compressedSize);
+      if (method === 0) return data.toString('utf8');
+      if (method !== 8) return null;
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_CONTENT_BYTES }).toString('utf8');
+      } catch (error) {
+        // A bigger entry (e.g. a ZIP bomb) is not read at all
+        if (error instanceof RangeError) return null;
+        throw error;
+      }
+    }
+    
+    i += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return null;
+}
+
+/**
+ * Read the `/CreationDate` of the info dictionary of a PDF file, e.g. `(D:20230710143005+02'00')`.
+ * The info dictionary is usually at the end of the file, so for large files only the start and end are searched.
+ * Dates inside compressed object streams are not found.
+ * @param {string} filePath - Path of the PDF file
+ * @returns {Promise<{year: string, month: string, day: string}|null>} - The date or null if not found
+ */
+async function readPdfCreationDate(filePath) {
+  const { size } = await fs.stat(filePath);
+  const chunkLength = MAX_CONTENT_BYTES / 2;
+  const text = size <= MAX_CONTENT_BYTES
+    ? (await readFileRange(filePath, 0, size)).toString('latin1')
+    : (await readFileRange(filePath, size - chunkLength, chunkLength)).toString('latin1') + '\n' +
+      (await readFileRange(filePath, 0, chunkLength)).toString('latin1');
+  
+  const match = /\/CreationDate\s*\(D:(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:([Zz])|([+-])(\d{2})'?(\d{2})?'?)?)?/.exec(text);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc, sign, zoneHours, zoneMinutes] = match;
+  
+  if (hours && (utc || sign)) {
+    const zone = utc ? 'Z' : `${sign}${zoneHours}:${zoneMinutes ?? '00'}`;
+    return localDateParts(new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds ?? '00'}${zone}`));
+  }
+  return { year, month, day };
+}
+
+/**
+ * Read `DateTimeOriginal` from the EXIF data of a JPEG file.
+ * @param {string} filePath - Path of the JPEG file
+ * @returns {Promise<{year: string, month: string, day: string}|null>} - The date or null if not found
+ */
+async function readExifDateTimeOriginal(filePath) {
+  // The EXIF segment (APP1) is at the start and limited to 64 KiB
+  const data = await readFileRange(filePath, 0, 128 * 1024);
+  if (data.length < 4 || data.readUInt16BE(0) !== 0xffd8) return null;
+  
+  // Find the APP1 segment with the EXIF header
+  let offset = 2;
+  let tiff = -1;
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      tiff = offset + 10;
+      break;
+    }
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xda) return null;
+    offset += 2 + length;
+  }
+  if (tiff < 0 || tiff + 8 > data.length) return null;
+  
+  const littleEndian = data.toString('latin1', tiff, tiff + 2) === 'II';
+  const readUInt16 = position => littleEndian ? data.readUInt16LE(position) : data.readUInt16BE(position);
+  const readUInt32 = position => littleEndian ? data.readUInt32LE(position) : data.readUInt32BE(position);
+  
+  // Find a tag in an image file directory, returns the offset of its entry
+  const findTag = (ifdOffset, tag) => {
+    const count = readUInt16(tiff + ifdOffset);
+    for (let i = 0; i < count; i++) {
+      const entry = tiff + ifdOffset + 2 + i * 12;
+      if (readUInt16(entry) === tag) return entry;
+    }
+    return -1;
+  };
+  
+  const exifPointer = findTag(readUInt32(tiff + 4), 0x8769);
+  if (exifPointer < 0) return null;
+  const dateEntry = findTag(readUInt32(exifPointer + 8), 0x9003);
+  if (dateEntry < 0) return null;
+  
+  // ASCII "YYYY:MM:DD HH:MM:SS", always longer than 4 bytes, so stored at an offset
+  const valueOffset = tiff + readUInt32(dateEntry + 8);
+  const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(data.toString('latin1', valueOffset, valueOffset + 19));
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return { year, month, day };
+}
+
+/**
+ * Check whether file names in a directory are case-insensitive (e.g. the default on macOS and Windows)
+ * @param {string} directory - The directory to check
+ * @param {string[]} names - Names of existing entries of the directory
+ * @returns {Promise<boolean>} - Whether `a.txt` and `A.txt` denote the same file
+ */
+async function isCaseInsensitiveDirectory(directory, names) {
+  // Probe with an existing name that changes when swapping case
+  const name = names.find(name => name.toUpperCase() !== name.toLowerCase());
+  if (name) {
+    const swapped = [...name].map(c => c === c.toUpperCase() ? c.toLowerCase() : c.toUpperCase()).join('');
+    try {
+      const [original, other] = await Promise.all([fs.stat(path.join(directory, name)), fs.stat(path.join(directory, swapped))]);
+      return original.ino === other.ino && original.dev === other.dev;
+    } catch (error) {
+      return false;
+    }
+  }
+  // Nothing to probe with, guess from the platform
+  return process.platform === 'darwin' || process.platform === 'win32';
+}
+
+/**
+ * Create the record of taken names for {@link resolveConflicts}
+ * @returns {{directories: Map<string, {caseInsensitive: boolean, taken: Map<string, string>}>, planned: Map<object, {info: object, key: string}>}}
+ *          - By directory, the taken names (by key, see `nameKey()`) with what takes them; by plan entry, its planned name
+ */
+function createTakenNames() {
+  return { directories: new Map(), planned: new Map() };
+}
+
+/**
+ * Detect and resolve conflicts between planned renames and existing files, as well as between planned renames.
+ * 
+ * On case-insensitive volumes names that only differ in case (or Unicode normalization) conflict, too.
+ * Names of files that are renamed away are still considered taken, so chains of renames are never needed.
+ * 
+ * Conflicting entries are modified in place depending on `entry.onConflict` or else `options.onConflict`:
+ * - `'skip'` (default) and `'fail'`: status becomes `'conflict'`, `message` tells what the conflict is
+ *   (with `'fail'`, the caller is expected to not rename anything if there are conflicts)
+ * - `'suffix'`: a suffix like ` (2)` is added to the new name until it is free, `conflictMessage` tells why
+ * 
+ * @param {object[]} entries - Plan entries, see {@link planRenames}
+ * @param {object} [options] - Options
+ * @param {'skip'|'suffix'|'fail'} [options.onConflict] - How to resolve conflicts (default: `'skip'`)
+ * @param {object} [options.takenNames] - The names taken by earlier calls, see {@link createTakenNames}, e.g. to check
+ *                                        a name changed in the interactive review; an entry checked again frees its
+ *                                        previously planned name
+ * @returns {Promise<object[]>} - The entries that had a conflict
+ */
+async function resolveConflicts(entries, options = {}) {
+  const { directories, planned } = options.takenNames ?? createTakenNames();
+  const conflicts = [];
+  
+  async function getDirectory(directory) {
+    // The same folder may be given relative (the processed directory) and absolute (the target folder of a move)
+    directory = path.resolve(directory);
+    if (!directories.has(directory)) {
+      let names = [];
+      try {
+        names = await fs.readdir(directory);
+      } catch (error) {
+        // directory does not exist (yet) -> nothing taken
+      }
+      const caseInsensitive = await isCaseInsensitiveDirectory(directory, names);
+      const info = { caseInsensitive, taken: new Map() };
+      for (const name of names) {
+        info.taken.set(nameKey(info, name), `existing file "${name}"`);
+      }
+      directories.set(directory, info);
+    }
+    return directories.get(directory);
+  }
+  
+  function nameKey(info, name) {
+    return info.caseInsensitive ? name.normalize('NFC').toLowerCase() : name;
+  }
+  
+  for (const entry of entries) {
+    if (planned.has(entry)) {
+      const { info, key } = planned.get(entry);
+      info.taken.delete(key);
+      planned.delete(entry);
+    }
+    if (entry.status !== 'rename') continue;
+    
+    const targetDirectory = path.dirname(entry.newPath);
+    const info = await getDirectory(targetDirectory);
+    const key = nameKey(info, entry.newFilename);
+    
+    // Renaming a file to a name only differing in case is no conflict with itself
+    const isSelf = path.resolve(path.dirname(entry.oldPath)) === path.resolve(targetDirectory) &&
+      key === nameKey(info, entry.oldFilename);
+    const takenBy = isSelf ? undefined : info.taken.get(key);
+    
+    if (takenBy === undefined) {
+      info.taken.set(key, `planned new name of "${entry.oldFilename}"`);
+      planned.set(entry, { info, key });
+      continue;
+    }
+    
+    conflicts.push(entry);
+    if ((entry.onConflict ?? options.onConflict) === 'suffix') {
+      const extension = path.extname(entry.newFilename);
+      const baseName = entry.newFilename.substring(0, entry.newFilename.length - extension.length);
+      let counter = 2;
+      let newFilename;
+      do {
+        newFilename = `${baseName} (${counter++})${extension}`;
+      } while (info.taken.has(nameKey(info, newFilename)));
+      
+      entry.conflictMessage = `"${entry.newFilename}" is taken by ${takenBy}`;
+      entry.newFilename = newFilename;
+      entry.newPath = path.join(targetDirectory, newFilename);
+      info.taken.set(nameKey(info, newFilename), `planned new name of "${entry.oldFilename}"`);
+      planned.set(entry, { info, key: nameKey(info, newFilename) });
+    } else {
+      entry.status = 'conflict';
+      entry.message = `${entry.oldFilename} -> ${displayNewName(entry)} ("${entry.newFilename}" is taken by ${takenBy})`;
+    }
+  }
+  
+  return conflicts;
+}
+
+/**
+ * Apply a single planned rename to the file system; in archive mode, the target folder is created if needed, with
+ * `timestamps` the file's timestamps are set, too
+ * @param {object} entry - Plan entry with status `'rename'`, see {@link planRenames}
+ * @param {object} [options] - Options, `options.journal` records the rename, see {@link createJournal}; if that fails,
+ *                             the rename is reverted
+ */
+async function applyRename(entry, options = {}) {
+  if (options.journal) {
+    await options.journal.open();
+  }
+  if (entry.newDirectory) {
+    await fs.mkdir(entry.newDirectory, { recursive: true });
+  }
+  
+  // Never overwrite a file, even if it was created after planning (fs.rename would silently replace it on POSIX)
+  const source = await fs.lstat(entry.oldPath);
+  const existing = await fs.lstat(entry.newPath).catch(() => null);
+  if (existing && (existing.ino !== source.ino || existing.dev !== source.dev)) {
+    throw new Error(`Target already exists: ${entry.newPath}`);
+  }
+  await moveFile(entry.oldPath, entry.newPath);
+  // Before journaling, so that undo doesn't take the new timestamps for a modification
+  if (entry.timestamps) {
+    await applyTimestamps(entry);
+  }
+  if (options.journal) {
+    try {
+      await options.journal.record(entry, source);
+    } catch (error) {
+      // A rename that is not in the journal could not be undone
+      await moveFile(entry.newPath, entry.oldPath);
+      await fs.utimes(entry.oldPath, source.atime, source.mtime);
+      throw new Error(`Cannot write the journal, rename reverted: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Set the timestamps of a file that keeps its name (status `'already-formatted'`), recording the old ones in
+ * `options.journal` (see {@link createJournal}); if that fails, the old timestamps are restored
+ * @param {object} entry - Plan entry with `timestamps`, see {@link planRenames}
+ * @param {object} [options] - Options, see {@link applyRename}
+ */
+async function applyStamp(entry, options = {}) {
+  if (options.journal) {
+    await options.journal.open();
+  }
+  const original = await fs.lstat(entry.newPath);
+  await applyTimestamps(entry);
+  if (options.journal) {
+    try {
+      await options.journal.record(entry, original);
+    } catch (error) {
+      await fs.utimes(entry.newPath, original.atime, original.mtime);
+      throw new Error(`Cannot write the journal, timestamps restored: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Set the timestamps of a planned file to its date, see {@link getTimestamps}
+ * @param {object} entry - Plan entry with `timestamps`, see {@link planRenames}
+ */
+async function applyTimestamps(entry) {
+  const { mtime, atime } = entry.timestamps;
+  await fs.utimes(entry.newPath, atime ?? (await fs.stat(entry.newPath)).atime, mtime);
+}
+
+/**
+ * Rename or move a file. If it has to go to another file system (`fs.rename` fails with `EXDEV`), it is copied, the
+ * copy is compared with the original (size and SHA-256) and only then the original is deleted. The copy gets the
+ * original's access and modification time.
+ * @param {string} oldPath - Current path of the file
+ * @param {string} newPath - New path of the file, must not exist for a copy
+ */
+async function moveFile(oldPath, newPath) {
+  try {
+    await fs.rename(oldPath, newPath);
+    return;
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+  }
+  
+  const stats = await fs.lstat(oldPath);
+  if (!stats.isFile()) {
+    throw new Error(`Cannot move ${oldPath} to another file system, not a regular file`);
+  }
+  await fs.copyFile(oldPath, newPath, constants.COPYFILE_EXCL);
+  try {
+    const copy = await fs.stat(newPath);
+    if (copy.size !== stats.size || await hashFile(newPath) !== await hashFile(oldPath)) {
+      throw new Error(`Copy of ${oldPath} differs from the original, not moved`);
+    }
+    await fs.utimes(newPath, stats.atime, stats.mtime);
+  } catch (error) {
+    await fs.unlink(newPath).catch(() => {});
+    throw error;
+  }
+  await fs.unlink(oldPath);
+}
+
+/**
+ * Compute the SHA-256 hash of a file's content
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>} - The hash as hex string
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Apply all renames of a plan created by {@link planRenames}, and the new timestamps of files that keep their name
+ * @param {{entries: object[]}} plan - The rename plan
+ * @param {object} [options] - Options, see {@link applyRename}
+ * @returns {Promise<object[]>} - The entries that failed, each with `exception` set
+ */
+async function applyRenames(plan, options = {}) {
+  const failed = [];
+  for (const entry of plan.entries) {
+    try {
+      if (entry.status === 'rename') {
+        await applyRename(entry, options);
+      } else if (entry.status === 'already-formatted' && entry.timestamps) {
+        await applyStamp(entry, options);
+      }
+    } catch (error) {
+      failed.push({ ...entry, exception: error });
+    }
+  }
+  return failed;
+}
+
+// Where the journals of executed runs are stored by default
+const DEFAULT_JOURNAL_DIR = path.join(os.homedir(), '.normalize-filename-dates', 'journal');
+
+// Run ids look like "20250315-142530-1a2b" so that sorting them sorts by time
+const RUN_ID_PATTERN = /^\d{8}-\d{6}-[0-9a-f]{4}$/;
+
+/**
+ * Remove the `--undo [run-id]` option from the command line arguments
+ * @param {string[]} args - The command line arguments, modified in place
+ * @returns {{runId: string|undefined}|null} - The run to revert (undefined: the latest one) or null if not present
+ */
+function takeUndoOption(args) {
+  const index = args.findIndex(arg => arg === '--undo' || arg.startsWith('--undo='));
+  if (index < 0) return null;
+  
+  if (args[index] !== '--undo') {
+    const runId = args[index].substring('--undo='.length);
+    args.splice(index, 1);
+    return { runId };
+  }
+  
+  // The run id is optional, so only take the next argument if it looks like one
+  if (RUN_ID_PATTERN.test(args[index + 1] ?? '')) {
+    const runId = args[index + 1];
+    args.splice(index, 2);
+    return { runId };
+  }
+  
+  args.splice(index, 1);
+  return { runId: undefined };
+}
+
+/**
+ * Create a new run id based on the current time
+ * @returns {string} - The run id, see {@link RUN_ID_PATTERN}
+ */
+function createRunId() {
+  const pad = n => n.toString().padStart(2, '0');
+  const now = new Date();
+  const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${date}-${time}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Create a journal that records executed renames, one JSON object per line.
+ * 
+ * The first line holds the run id and timestamp, each following line one rename with absolute paths and
+ * size, modification time and inode of the renamed file (to detect changes before undoing the run); with new
+ * timestamps, also the old ones. Files that only got new timestamps are recorded with the same old and new path.
+ * The file is only created by `open()`, which has to succeed before the first rename.
+ * 
+ * @param {string} journalDir - Directory to store the journal in
+ * @returns {{runId: string, file: string, count: number, open: function(): Promise<void>, record: function(object, object=): Promise<void>}}
+ *          - The journal, `record()` takes the plan entry and the file's stats before it got new timestamps
+ */
+function createJournal(journalDir) {
+  const runId = createRunId();
+  let opened;
+  const journal = {
+    runId,
+    file: path.join(journalDir, `${runId}.jsonl`),
+    count: 0,
+    /** Create the journal directory and write the header, only once */
+    open() {
+      if (!opened) {
+        opened = (async () => {
+          await fs.mkdir(journalDir, { recursive: true });
+          const header = { runId, timestamp: new Date().toISOString(), cwd: process.cwd() };
+          await fs.writeFile(journal.file, JSON.stringify(header) + '\n', { flag: 'wx' });
+        })();
+      }
+      return opened;
+    },
+    async record(entry, original) {
+      await journal.open();
+      const newPath = path.resolve(entry.newPath);
+      const stats = await fs.lstat(newPath);
+      const record = {
+        oldPath: path.resolve(entry.oldPath),
+        newPath,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        ino: stats.ino,
+        // the timestamps before --set-mtime, to restore them on undo
+        ...(entry.timestamps && original && { oldAtimeMs: original.atimeMs, oldMtimeMs: original.mtimeMs })
+      };
+      await fs.appendFile(journal.file, JSON.stringify(record) + '\n');
+      journal.count++;
+    }
+  };
+  return journal;
+}
+
+/**
+ * Read a journal written by {@link createJournal}
+ * @param {string} file - Path of the journal
+ * @returns {Promise<{runId: string, timestamp: string, undone?: string, renames: object[]}>} - The journal content,
+ *          `renames` are the ones not reverted yet by an earlier, partly failed undo (see {@link undoRun})
+ */
+async function readJournal(file) {
+  const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(line => line.trim());
+  const [header, ...records] = lines.map(line => JSON.parse(line));
+  const reverted = new Set(records.filter(record => record.reverted).map(record => record.reverted));
+  return {
+    ...header,
+    undone: records.find(record => record.undone)?.undone,
+    renames: records.filter(record => record.oldPath && !reverted.has(record.newPath))
+  };
+}
+
+/**
+ * Revert the renames of an executed run.
+ * 
+ * Each file is verified to still be where the journal says: files that were moved or deleted since the run
+ * are not touched, files whose size, modification time or inode changed since are reported but still
+ * renamed back. Files are never overwritten. Timestamps set by the run are restored, unless the file was modified.
+ * 
+ * Each reverted file is recorded in the journal. The run is only marked as undone when all files were reverted, so
+ * that the others can be reverted by another undo once the problem is solved.
+ * 
+ * @param {string|undefined} runId - The run to revert, undefined for the latest run not yet undone
+ * @param {object} [options] - Options
+ * @param {string} [options.journalDir] - Directory where the journals are stored
+ * @param {boolean} [options.dryRun] - Only check and report, don't rename anything
+ * @returns {Promise<object>} - The run id and per file results with `status` `'reverted'`, `'modified'`,
+ *                              `'moved'` or `'blocked'` (the old path is taken by another file)
+ */
+async function undoRun(runId, options = {}) {
+  const journalDir = options.journalDir ?? DEFAULT_JOURNAL_DIR;
+  
+  if (runId === undefined) {
+    let files = [];
+    try {
+      files = (await fs.readdir(journalDir)).filter(file => file.endsWith('.jsonl')).sort().reverse();
+    } catch (error) {
+      // no journal directory means no runs
+    }
+    for (const file of files) {
+      // e.g. a watch run in which no file was renamed
+      const journal = await readJournal(path.join(journalDir, file));
+      if (!journal.undone && journal.renames.length > 0) {
+        runId = path.basename(file, '.jsonl');
+        break;
+      }
+    }
+    if (runId === undefined) {
+      throw new Error(`No run to undo found in ${journalDir}`);
+    }
+  } else if (!RUN_ID_PATTERN.test(runId)) {
+    throw new Error(`Invalid run id: ${runId}`);
+  }
+  
+  const file = path.join(journalDir, `${runId}.jsonl`);
+  let journal;
+  try {
+    journal = await readJournal(file);
+  } catch (error) {
+    throw new Error(`Cannot read journal of run ${runId}: ${error.message}`);
+  }
+  if (journal.undone) {
+    throw new Error(`Run ${runId} was already undone at ${journal.undone}`);
+  }
+  
+  const results = [];
+  // Revert in reverse order, in case a file was renamed to a name that was freed by an earlier rename
+  for (const rename of [...journal.renames].reverse()) {
+    const result = { ...rename };
+    results.push(result);
+    
+    let stats;
+    try {
+      stats = await fs.lstat(rename.newPath);
+    } catch (error) {
+      result.status = 'moved';
+      continue;
+    }
+    
+    // Files that only got new timestamps stay where they are
+    const moved = rename.oldPath !== rename.newPath;
+    if (moved) {
+      try {
+        await fs.lstat(rename.oldPath);
+        result.status = 'blocked';
+        continue;
+      } catch (error) {
+        // old path is free -> fine
+      }
+    }
+    
+    const modified = stats.size !== rename.size || stats.mtimeMs !== rename.mtimeMs || stats.ino !== rename.ino;
+    result.status = modified ? 'modified' : 'reverted';
+    
+    if (!options.dryRun) {
+      try {
+        if (moved) {
+          await moveFile(rename.newPath, rename.oldPath);
+        }
+        // The timestamps of a file modified since are its own
+        if (rename.oldMtimeMs !== undefined && !modified) {
+          await fs.utimes(rename.oldPath, new Date(rename.oldAtimeMs), new Date(rename.oldMtimeMs));
+        }
+        await fs.appendFile(file, JSON.stringify({ reverted: rename.newPath }) + '\n');
+      } catch (error) {
+        result.status = 'error';
+        result.message = error.message;
+      }
+    }
+  }
+  
+  if (!options.dryRun && results.every(result => ['reverted', 'modified'].includes(result.status))) {
+    await fs.appendFile(file, JSON.stringify({ undone: new Date().toISOString() }) + '\n');
+  }
+  
+  return { runId, timestamp: journal.timestamp, results };
+}
+
+/**
+ * Command line interface for `--undo`: revert a run and print the results
+ * @param {string|undefined} runId - The run to revert, undefined for the latest run
+ * @param {object} options - Options, see {@link undoRun}
+ */
+async function undoCommand(runId, options) {
+  console.log(`Mode: ${options.dryRun ? 'DRY RUN (no changes will be made -> pass `--execute` flag to revert the run)' : 'EXECUTE (files will be renamed back)'}`);
+  
+  let undo;
+  try {
+    undo = await undoRun(runId, options);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+  
+  console.log(`Undoing run ${undo.runId} from ${undo.timestamp}\n`);
+  
+  const stats = { reverted: 0, problems: 0 };
+  for (const result of undo.results) {
+    switch (result.status) {
+      case 'reverted':
+        console.log(result.oldPath === result.newPath
+          ? `Restoring timestamps: ${result.newPath}`
+          : `Reverting: ${result.newPath} -> ${result.oldPath}${result.oldMtimeMs !== undefined ? ' (and its timestamps)' : ''}`);
+        stats.reverted++;
+        break;
+      case 'modified':
+        console.log(result.oldPath === result.newPath
+          ? `Keeping timestamps: ${result.newPath} (file was modified since the run)`
+          : `Reverting: ${result.newPath} -> ${result.oldPath} (file was modified since the run)`);
+        stats.reverted++;
+        break;
+      case 'moved':
+        console.log(`File was moved or deleted since the run: ${result.newPath}`);
+        stats.problems++;
+        break;
+      case 'blocked':
+        console.log(`Cannot revert ${result.newPath}, another file exists at: ${result.oldPath}`);
+        stats.problems++;
+        break;
+      case 'error':
+        console.error(`Error reverting file ${result.newPath}: ${result.message}`);
+        stats.problems++;
+        break;
+    }
+  }
+  
+  console.log('\nUndo Statistics:');
+  console.log(`  Files to be reverted: ${stats.reverted}`);
+  console.log(`  Files that could not be reverted: ${stats.problems}`);
+  if (stats.problems > 0) {
+    process.exitCode = 1;
+    if (!options.dryRun) {
+      console.log(`  The run is not marked as undone, revert the remaining files later with: --undo ${undo.runId} --execute`);
+    }
+  }
+}
+
+// Pattern matchers in order of precedence, with the confidence of their results (0..1)
+const PATTERNS = [
+  { patternFn: extractDateRange, confidence: 0.95 },        // e.g. 2022-06-30--07-02, 18.-19.06.2022, 18-19 Juni 2022
+  // TODO: I think the first three could be combined into one pattern
+  { patternFn: extractStandardISODate, confidence: 0.95 },  // yyyy-mm-dd
+  { patternFn: extractUnderscoreDate, confidence: 0.9 },    // yyyy_mm_dd
+  { patternFn: extractCompactDate, confidence: 0.85 },      // yyyymmdd, e.g. IMG_20230710_143005.jpg
+  { patternFn: extractWeekDate, confidence: 0.85 },         // 2024-W12, KW 12 2024, CW12-2024
+  { patternFn: extractQuarterDate, confidence: 0.85 },      // 2023-Q3, Q3 2023, 3. Quartal 2023
+  { patternFn: extractDotSeparatedDate, confidence: 0.9 },  // yyyy.mm.dd NOTE: must match before extractGermanStyleDate
+  { patternFn: extractGermanStyleDate, confidence: 0.9 },   // dd.mm.yyyy
+  { patternFn: extractSingleDigitDate, confidence: 0.8 },
+  { patternFn: extractComplexHyphenatedDate, confidence: 0.8 },
+  { patternFn: extractGenericHyphenatedDate, confidence: 0.8 },
+  { patternFn: extractDateWithMonthName, confidence: 0.85 },
+  { patternFn: extractMonthFirstDate, confidence: 0.75 },
+  { patternFn: extractPartialDate, confidence: 0.6 }
+];
+
+// How much less confident we are if parts of the date were not in the filename
+const CONFIDENCE_PENALTIES = {
+  shortYear: { penalty: 0.15, reason: '2-digit year expanded' },
+  yearGuessed: { penalty: 0.3, reason: 'no year, inferred' },
+  dayGuessed: { penalty: 0.3, reason: 'no day, first day assumed' }
+};
+
+// Confidence of alternative readings of the same digits, e.g. "03.04.05" as yy.mm.dd
+const ALTERNATIVE_CONFIDENCE = 0.3;
+
+// How much less confident than the best date another date may be to still compete with it, see competingCandidates()
+const SIMILAR_CONFIDENCE = 0.1;
+
+// How many dates each pattern looks for in a name, see extractDateCandidates()
+const MAX_DATES_PER_PATTERN = 10;
+
+// Policies for choosing one of several dates in a name, see pickCandidate()
+const PICK_POLICIES = ['first', 'last', 'earliest', 'latest', 'leftmost'];
+
+// Named groups of user-defined patterns, see compileCustomPattern()
+const CUSTOM_PATTERN_GROUPS = ['year', 'month', 'monthName', 'day'];
+
+// Compiled user-defined patterns by their definition
+const customPatternCache = new WeakMap();
+
+/**
+ * Validate the definition of a user-defined date pattern, see {@link compileCustomPattern}
+ * @param {object} definition - The definition
+ * @throws {Error} - If the definition is invalid
+ */
+function validateCustomPattern(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('must be an object with label and regex');
+  }
+  const { label, regex, flags, priority, confidence, ...unknown } = definition;
+  if (typeof label !== 'string' || !label) {
+    throw new Error('needs a label');
+  }
+  if (typeof regex !== 'string') {
+    throw new Error(`"${label}" needs a regex`);
+  }
+  if (Object.keys(unknown).length > 0) {
+    throw new Error(`"${label}" has unknown properties: ${Object.keys(unknown).join(', ')}`);
+  }
+  if (priority !== undefined && typeof priority !== 'number') {
+    throw new Error(`"${label}": priority must be a number`);
+  }
+  if (confidence !== undefined && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+    throw new Error(`"${label}": confidence must be a number from 0 to 1`);
+  }
+  
+  try {
+    new RegExp(regex, flags ?? 'iu');
+  } catch (error) {
+    throw new Error(`"${label}": ${error.message}`);
+  }
+  const groups = [...regex.matchAll(/\(\?<([^>=!]+)>/g)].map(match => match[1]);
+  const unknownGroups = groups.filter(group => !CUSTOM_PATTERN_GROUPS.includes(group));
+  if (unknownGroups.length > 0) {
+    throw new Error(`"${label}": unknown named group(s) ${unknownGroups.join(', ')} (known: ${CUSTOM_PATTERN_GROUPS.join(', ')})`);
+  }
+  if (!groups.includes('month') && !groups.includes('monthName')) {
+    throw new Error(`"${label}": needs a named group month or monthName`);
+  }
+}
 
-// Current year for reference
-const currentYear = new Date().getFullYear();
+/**
+ * Compile a user-defined date pattern into a pattern matcher like those in {@link PATTERNS}.
+ * 
+ * The regex has the named groups `year` (4 or 2 digits; without it, the year is inferred like for other dates without
+ * year, see {@link inferYear}), `month` (number) or `monthName` (a month name of the selected locales, see
+ * {@link LOCALES}) and `day` (without it, a month-only date). Its `label` is reported as `matchedPattern`.
+ * 
+ * @param {{label: string, regex: string, flags?: string, priority?: number, confidence?: number}} definition - The
+ *        pattern; `flags` of the regex (default: `iu`), `priority` (default: 0) and `confidence` (default: 0.9),
+ *        see {@link getPatterns}
+ * @returns {{patternFn: Function, confidence: number, priority: number, label: string}} - The pattern matcher
+ * @throws {Error} - If the definition is invalid
+ */
+function compileCustomPattern(definition) {
+  if (!customPatternCache.has(definition)) {
+    validateCustomPattern(definition);
+    const { label, flags = 'iu', priority = 0, confidence = 0.9 } = definition;
+    const regex = new RegExp(definition.regex, flags.replace('g', ''));
+    
+    const patternFn = (filename, options = {}) => {
+      const match = regex.exec(filename);
+      if (!match) return null;
+      
+      const { year: yearText, month: monthNumber, monthName, day: dayText } = match.groups;
+      const month = (monthNumber ?? (monthName && getLocaleTable(options).months[monthName.toLowerCase()]))?.padStart(2, '0');
+      if (!month) return null;
+      
+      const start = match.index;
+      const end = start + match[0].length;
+      const day = (dayText ?? '1').padStart(2, '0');
+      const { year, source } = yearText ? { year: normalizeYear(yearText, options) } : inferYear(month, day, options);
+      return {
+        year,
+        month,
+        day,
+        // Without day, the month is kept as it is, see formatFilename()
+        ...(!dayText && { precision: 'month', period: { year, label: month } }),
+        restOfFilename: cleanupFilename(filename.substring(0, start) + filename.substring(end), options),
+        span: [start, end],
+        matchedPattern: label,
+        shortYear: yearText?.length === 2,
+        yearGuessed: !yearText,
+        ...(source && { yearSource: source })
+      };
+    };
+    
+    customPatternCache.set(definition, { patternFn, confidence, priority, label });
+  }
+  return customPatternCache.get(definition);
+}
 
 /**
- * Debug log function - only outputs when debug mode is enabled
- * @param {string} message - The message to log
+ * Get the pattern matchers in order of precedence: the built-in {@link PATTERNS} (priority 0) and the user-defined
+ * `options.patterns` (see {@link compileCustomPattern}), higher priority first; at the same priority, user-defined
+ * patterns go first
+ * @param {object} [options] - Options, `options.patterns` are the user-defined patterns
+ * @returns {{patternFn: Function, confidence: number}[]} - The pattern matchers
  */
-function debugLog(message) {
-  if (debugMode) {
-    console.log(`[DEBUG] ${message}`);
+function getPatterns(options = {}) {
+  if (!options.patterns?.length) {
+    return PATTERNS;
   }
+  return [...options.patterns.map(compileCustomPattern), ...PATTERNS.map(pattern => ({ ...pattern, priority: 0 }))]
+    .sort((a, b) => b.priority - a.priority);
 }
 
 /**
- * Convert a 2-digit year to a 4-digit year, ensuring it's not in the future
+ * Extract date from filename using various patterns
  * 
- * TODO: if the year is missing, guess it from the file modified date
- * TODO: ensure that this is always called; I think we can call this inside processFile()
+ * All patterns are tried; the result is the one of the first pattern that matches, but it also lists all
+ * `candidates`. If valid candidates of similar confidence, or valid readings of the same digits, disagree about
+ * the date, the result is flagged as `ambiguous`, see {@link competingCandidates}.
  * 
- * @param {string|number} shortYear - The 2-digit year
- * @returns {string} - The 4-digit year
+ * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options
+ * @param {Date} [options.referenceDate] - "Today", used to expand 2-digit years and to fill in missing years (default: now)
+ * @param {string[]} [options.yearFrom] - Where to look for missing years, see {@link inferYear}
+ * @param {{siblingDates?: Date[], mtime?: Date}} [options.yearHints] - Dates of other files in the directory and
+ *        the file's modification time, for missing years, see {@link inferYear}
+ * @param {string[]} [options.locales] - Locales for month names, see {@link LOCALES} (default: {@link DEFAULT_LOCALES})
+ * @param {object[]} [options.patterns] - User-defined patterns, see {@link compileCustomPattern}
+ * @param {string} [options.pick] - Which of several dates in the name to use, see {@link pickCandidate}; without
+ *        it, a name with several different dates is ambiguous
+ * @param {object[]} [options.trace] - If set, what each pattern did is added to it, see {@link explainFilename}
+ * @param {'keep'|'first-day'} [options.partialDates] - Whether dates without day are kept as they are (default) or
+ *        taken as their first day, which lowers their confidence
+ * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found;
+ *                          for date ranges, `end` holds the year, month and day of the end date;
+ *                          for dates with a time of day, `time` holds hour, minute and second and
+ *                          `restWithTime` the rest that still contains it;
+ *                          for dates without year, `yearSource` tells where the year came from (see {@link YEAR_SOURCES});
+ *                          for dates without day, `precision` is `'month'`, `'week'` or `'quarter'`, `period` its
+ *                          year and label (month, e.g. `06`, week, e.g. `W12`, or quarter, e.g. `Q3`) and year,
+ *                          month and day are its first day;
+ *                          `candidates` and `ambiguous`, see {@link extractDateCandidates};
+ *                          with `options.pick` and several dates in the name, `picked` tells the policy, the text of
+ *                          the chosen date and how many there were
  */
-function normalizeYear(shortYear) {
-  if(shortYear.length !== 2) return shortYear;
-  const year = parseInt(shortYear, 10);
-  
-  // Try with 2000s first
-  let fullYear = 2000 + year;
+function extractDateFromFilename(filename, options = {}) {
+  const candidates = extractDateCandidates(filename, options);
+  if (candidates.length === 0) {
+    return null;
+  }
   
-  // If the resulting year is in the future, use 1900s instead
-  if (fullYear > currentYear) {
-    fullYear = 1900 + year;
+  if (!options.pick) {
+    // Alternative readings are never the first choice
+    const { alternative, ...result } = candidates.find(candidate => !candidate.alternative);
+    return { ...result, candidates, ambiguous: isAmbiguous(candidates) };
   }
   
-  return fullYear.toString();
+  // Only the readings of the chosen date can still be ambiguous, the other dates stay in the rest of the name
+  const { alternative, ...result } = pickCandidate(candidates, options.pick);
+  const readings = readingsOf(candidates, result);
+  const count = candidates.filter(candidate => candidate.valid && !candidate.alternative).length;
+  return {
+    ...result,
+    candidates,
+    ambiguous: isAmbiguous(readings),
+    ...(count > 1 && { picked: { policy: options.pick, text: filename.substring(...result.span), count } })
+  };
 }
 
 /**
- * Main function to process directories
+ * Choose one of several dates in a name. Only valid dates are considered, alternative readings never.
+ * 
+ * - `'first'`: the date of the first pattern that matched (see {@link PATTERNS})
+ * - `'leftmost'`, `'last'`: the date that starts first, or ends last, in the name
+ * - `'earliest'`, `'latest'`: the earliest or latest date
+ * 
+ * On a tie, the first pattern wins.
+ * 
+ * @param {object[]} candidates - The candidates, see {@link extractDateCandidates}
+ * @param {string} policy - The policy, see {@link PICK_POLICIES}
+ * @returns {object} - The chosen candidate; the first one if there's no valid date
  */
-async function main() {
-  // Get directories from command line arguments or use current directory
-  const directories = process.argv.slice(2).length > 0 
-    ? process.argv.slice(2) 
-    : ['.'];
+function pickCandidate(candidates, policy) {
+  const dates = candidates.filter(candidate => !candidate.alternative);
+  const valid = dates.filter(candidate => candidate.valid);
+  if (valid.length === 0) {
+    return dates[0];
+  }
   
-  let dryRun = true;
+  const startOf = candidate => `${candidate.year}-${candidate.month}-${candidate.day}`;
+  const compare = {
+    first: () => 0,
+    leftmost: (a, b) => a.span[0] - b.span[0],
+    last: (a, b) => b.span[1] - a.span[1],
+    earliest: (a, b) => startOf(a).localeCompare(startOf(b)),
+    latest: (a, b) => startOf(b).localeCompare(startOf(a))
+  }[policy];
+  // The sort is stable, so ties keep the order of the patterns
+  return [...valid].sort(compare)[0];
+}
 
-  // TODO: maybe use some of the existing, production-proven libs for command-line argument handling so that we also get `--help` etc? 
-  //       On the other hand: This way the script needs no external dependencies.
-  //       However, I could add also packaging into a script for distribution. As it's quite long already, I could split source
-  //       into several files, e.g. one file per pattern matching rule. This would improve maintainability.
+/**
+ * Extract all candidate dates from a filename, from all patterns, including alternative readings of the same text
+ * (e.g. "03.04.05" as dd.mm.yy, yy.mm.dd or mm.dd.yy).
+ * 
+ * Each pattern matches only the first date it finds; to find further dates (e.g. both dates of
+ * "Protokoll 2023-01-05 (Entwurf vom 10.01.2023).docx" for the same pattern), the dates found are masked and the
+ * pattern is tried again, see {@link maskSpan}.
+ * 
+ * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
+ * @returns {object[]} - Candidates in order of precedence, like the result of {@link extractDateFromFilename}, with
+ *                       `span` (start and end index of the matched text), `confidence` (0..1), `reason` (why this
+ *                       confidence), `valid` (see {@link isValidDate}) and `alternative` (true for alternative readings);
+ *                       `time` is set if a time of day follows the date, see {@link matchTimeAfter}
+ */
+function extractDateCandidates(filename, options = {}) {
+  const candidates = [];
+  
+  // Masked text can only be restored if the name itself has no characters used for masking
+  const maxDates = MASK_CHARS.test(filename) ? 1 : MAX_DATES_PER_PATTERN;
   
-  // Check if --execute flag is present
-  if (directories.includes('--execute')) {
-    dryRun = false;
-    // Remove --execute from directories array
-    const executeIndex = directories.indexOf('--execute');
-    directories.splice(executeIndex, 1);
+  for (const { patternFn, confidence, label } of getPatterns(options)) {
+    let masked = filename;
+    
+    for (let occurrence = 0; occurrence < maxDates; occurrence++) {
+      // Record what each pattern did, including the steps inside it (see explainFilename()); of further dates, only matches
+      const trace = options.trace && { pattern: label ?? patternFn.name, steps: [] };
+      const patternOptions = trace ? { ...options, trace: trace.steps } : options;
+      
+      const result = patternFn(masked, patternOptions);
+      if (occurrence === 0 || result) {
+        options.trace?.push(trace);
+      }
+      if (!result || result.span[1] <= result.span[0]) break;
+      if (trace) {
+        trace.result = result;
+      }
+      result.restOfFilename = unmask(result.restOfFilename, filename);
+      
+      // Skip matches of only a part of what a previous pattern matched, e.g. "03.04." of "03.04.05"
+      const [start, end] = result.span;
+      const containing = candidates.find(({ span }) => span[0] <= start && end <= span[1]);
+      if (containing) {
+        if (trace) {
+          trace.skipped = `only a part of "${filename.substring(...containing.span)}" matched by ${containing.matchedPattern}`;
+        }
+        masked = maskSpan(masked, start, end);
+        continue;
+      }
+      
+      // A time of day right after the date is taken out of the rest of the name
+      const time = !result.end && !result.precision && matchTimeAfter(filename, end, result.restOfFilename, patternOptions);
+      if (time) {
+        result.time = time.time;
+        result.span = [start, time.end];
+        result.restWithTime = result.restOfFilename;
+        result.restOfFilename = time.restOfFilename;
+      }
+      masked = maskSpan(masked, ...result.span);
+      
+      const { alternatives = [], shortYear, yearGuessed, dayGuessed, ...date } = result;
+      // Dates without day only lose confidence if they are taken as their first day
+      const flags = { shortYear, yearGuessed, dayGuessed: dayGuessed || (result.precision && options.partialDates === 'first-day') };
+      const penalties = Object.keys(flags).filter(flag => flags[flag]).map(flag => CONFIDENCE_PENALTIES[flag]);
+      
+      candidates.push({
+        ...date,
+        confidence: roundConfidence(confidence - penalties.reduce((sum, { penalty }) => sum + penalty, 0)),
+        reason: [`matched ${result.matchedPattern}`, ...penalties.map(({ reason }) => reason)].join('; '),
+        valid: isValidDate(date.year, date.month, date.day, patternOptions)
+      });
+      
+      for (const { reason, ...alternativeDate } of alternatives) {
+        candidates.push({
+          ...date,
+          ...alternativeDate,
+          confidence: ALTERNATIVE_CONFIDENCE,
+          reason: `${reason} (${result.matchedPattern})`,
+          valid: isValidDate(alternativeDate.year, alternativeDate.month, alternativeDate.day, patternOptions),
+          alternative: true
+        });
+      }
+    }
   }
   
-  // Check if --debug flag is present
-  if (directories.includes('--debug')) {
-    debugMode = true;
-    // Remove --debug from directories array
-    const debugIndex = directories.indexOf('--debug');
-    directories.splice(debugIndex, 1);
+  return candidates;
+}
+
+// Characters used by maskSpan() (Unicode private use area), one per position in the name
+const MASK_BASE = 0xE000;
+const MASK_CHARS = /[\uE000-\uF8FF]/u;
+
+/**
+ * Mask a part of a name, so that patterns don't match it again, see {@link extractDateCandidates}.
+ * Each character is replaced by one that no pattern matches and that tells its position, see {@link unmask}.
+ * @param {string} text - The (partly masked) name
+ * @param {number} start - Start index of the part to mask
+ * @param {number} end - End index of the part to mask
+ * @returns {string} - The name with the part masked, of the same length
+ */
+function maskSpan(text, start, end) {
+  let mask = '';
+  for (let index = start; index < end; index++) {
+    mask += String.fromCharCode(MASK_BASE + index);
   }
+  return text.substring(0, start) + mask + text.substring(end);
+}
+
+/**
+ * Restore the masked characters in text derived from a masked name, see {@link maskSpan}
+ * @param {string} text - The text, e.g. the rest of the name without a date
+ * @param {string} filename - The original name
+ * @returns {string} - The text with the original characters
+ */
+function unmask(text, filename) {
+  return [...text].map(char => MASK_CHARS.test(char) ? filename[char.charCodeAt(0) - MASK_BASE] : char).join('');
+}
+
+/**
+ * Match a time of day right after a date, e.g. "_143005" (also with milliseconds, "_143005123"), "-091522",
+ * " at 14.30.05", " um 14:30" or "T14-30".
+ * 
+ * Times without separators need seconds and must be attached with "_", "-" or "T", so that other numbers after a
+ * date are not taken for times. Separated times use the same separator (".", ":" or "-") throughout and must not be
+ * followed by more digits, e.g. "01.02" of "2023-07-10 01.02.2024" is no time.
+ * 
+ * @param {string} filename - The filename
+ * @param {number} index - Where the date ends
+ * @param {string} restOfFilename - The rest of the filename without the date, see {@link extractDateFromFilename}
+ * @param {object} [options] - Options, `options.locales` for the words between date and time, see {@link LOCALES}
+ * @returns {{time: {hour: string, minute: string, second?: string}, end: number, restOfFilename: string}|null} - The
+ *          time, where it ends and the rest of the filename without it; null if there's no (valid) time
+ */
+function matchTimeAfter(filename, index, restOfFilename, options = {}) {
+  const { timeConnectorPattern } = getLocaleTable(options);
+  const regex = new RegExp(
+    `(?:[\\s_-]*${timeConnectorPattern}[\\s_-]*|[\\s_T-]?)` +
+    `(?:(?<=[_T-])(\\d{2})(\\d{2})(\\d{2})(?:\\d{3})?|(\\d{1,2})([.:-])(\\d{2})(?:\\5(\\d{2}))?)(?![.:-]?\\d)`,
+    'iuy'
+  );
+  regex.lastIndex = index;
+  const match = regex.exec(filename);
+  if (!match) return null;
   
-  console.log(`Mode: ${dryRun ? 'DRY RUN (no changes will be made -> pass `--execute` flag to rename files)' : 'EXECUTE (files will be renamed)'}`);
-  console.log(`Debug Mode: ${debugMode ? 'ON' : 'OFF (pass `--debug` flag to get verbose output)'}`);
-  console.log(`Processing directories: ${directories.join(', ')}\n`);
+  const hour = (match[1] ?? match[4]).padStart(2, '0');
+  const minute = match[2] ?? match[6];
+  const second = match[3] ?? match[7];
+  if (hour > '23' || minute > '59' || (second && second > '59')) return null;
   
-  for (const directory of directories) {
-    await processDirectory(directory, dryRun);
-  }
+  // The time was part of the rest, take it out; the text in the rest may differ in spaces only after cleanup
+  const text = match[0].replace(/^[\s_T-]+/i, '');
+  const textIndex = restOfFilename.indexOf(text);
+  if (textIndex < 0) return null;
   
-  // Print total statistics
-  console.log('\nTotal Statistics:');
-  console.log(`  Total files renamed: ${totalStats.totalRenamed}`);
-  console.log(`  Total files skipped: ${totalStats.totalSkipped}`);
-  console.log(`  Total files with errors: ${totalStats.totalErrors}`);
+  return {
+    time: { hour, minute, ...(second && { second }) },
+    end: index + match[0].length,
+    restOfFilename: cleanupFilename(restOfFilename.substring(0, textIndex) + restOfFilename.substring(textIndex + text.length), options)
+  };
 }
 
 /**
- * Process a single directory
- * @param {string} directory - Directory path to process
- * @param {boolean} dryRun - Whether to perform a dry run (no actual renaming)
+ * Round a confidence to 2 decimals, avoiding floating point noise like 0.6499999
+ * @param {number} confidence - The confidence
+ * @returns {number} - The rounded confidence, at least 0
  */
-async function processDirectory(directory, dryRun) {
-  try {
-    console.log(`\nProcessing directory: ${directory}`);
-    
-    // Check if directory exists
-    try {
-      await fs.access(directory);
-    } catch (error) {
-      console.error(`Directory does not exist: ${directory}`);
-      return;
-    }
-    
-    // Read all files in the directory
-    const files = await fs.readdir(directory);
-    
-    let renamedCount = 0;
-    let skippedCount = 0;
-    let errorCount = 0;
-    
-    // Process each file
-    for (const oldFilename of files) {
-      // Skip the script itself and any hidden files
-      if (oldFilename.endsWith('.js') || oldFilename.endsWith('.mjs') || oldFilename.endsWith('.ts') || oldFilename.startsWith('.')) {
-        continue;
-      }
-      
-      // TODO: extract to processFile() function
-      try {
-        // Get file stats to check if it's a directory
-        const filePath = path.join(directory, oldFilename);
-        const stats = await fs.stat(filePath);
-        
-        // Skip directories
-        if (stats.isDirectory()) {
-          continue;
-        }
-        
-        // Check if the file already starts with a date in yyyy-mm-dd format
-        const alreadyFormatted = /^\d{4}-\d{2}-\d{2}/.test(oldFilename);
-        
-        // Extract date from filename
-        const result = extractDateFromFilename(oldFilename);
-        
-        if (!result) {
-          console.log(`Could not extract date from: ${oldFilename}`);
-          errorCount++;
-          totalStats.totalErrors++;
-          continue;
-        }
-        
-        const { year, month, day, restOfFilename, matchedPattern } = result;
-        
-        if (debugMode) {
-          debugLog(`File: ${oldFilename}`);
-          debugLog(`Matched pattern: ${matchedPattern}`);
-          debugLog(`Extracted date: ${year}-${month}-${day}`);
-          debugLog(`Rest of filename: "${restOfFilename}"`);
-        }
-        
-        // Validate date
-        if (!isValidDate(year, month, day)) {
-          console.log(`Invalid date extracted from: ${oldFilename} (${year}-${month}-${day})`);
-          errorCount++;
-          totalStats.totalErrors++;
-          continue;
-        }
-        
-        // Create new filename
-        let newFilename;
-        
-        if (alreadyFormatted) {
-          // If the file already starts with a date in yyyy-mm-dd format,
-          // keep the original filename
-          newFilename = oldFilename;
-          console.log(`File already in correct format: ${oldFilename}`);
-          skippedCount++;
-          totalStats.totalSkipped++;
-          continue;
-        } else {
-          newFilename = `${year}-${month}-${day} ${restOfFilename}`;
-        }
-        
-        // Skip if filename is already in the correct format
-        if (oldFilename === newFilename) {
-          console.log(`File already in correct format: ${oldFilename}`);
-          skippedCount++;
-          totalStats.totalSkipped++;
-          continue;
-        }
-        
-        // Rename the file
-        const oldPath = path.join(directory, oldFilename);
-        const newPath = path.join(directory, newFilename);
-        
-        console.log(`Renaming: ${oldFilename} -> ${newFilename}`);
-        
-        if (!dryRun) {
-          await fs.rename(oldPath, newPath);
-        }
-        
-        renamedCount++;
-        totalStats.totalRenamed++;
-      } catch (error) {
-        console.error(`Error processing file ${oldFilename}: ${error.message}`);
-        errorCount++;
-        totalStats.totalErrors++;
-      }
-    }
-    
-    console.log(`\nSummary for ${directory}:`);
-    console.log(`  Files to be renamed: ${renamedCount}`);
-    console.log(`  Files skipped: ${skippedCount}`);
-    console.log(`  Files with errors: ${errorCount}`);
-    
-  } catch (error) {
-    console.error(`Error processing directory ${directory}: ${error.message}`);
+function roundConfidence(confidence) {
+  return Math.max(0, Math.round(confidence * 100) / 100);
+}
+
+/**
+ * Format a candidate's date (including the end of a range) for output
+ * @param {{year: string, month: string, day: string, end?: object, period?: object}} candidate - The candidate
+ * @returns {string} - The date, e.g. `2023-07-10`, `2022-06-18--19` or, for dates without day, `2024-W12`
+ */
+function formatCandidateDate(candidate) {
+  if (candidate.period) {
+    return `${candidate.period.year}-${candidate.period.label}`;
   }
+  return `${candidate.year}-${candidate.month}-${candidate.day}${formatRangeEnd(candidate)}`;
 }
 
 /**
- * Extract date from filename using various patterns
+ * Get the candidates that compete for being the date of a name: the valid dates of about the highest confidence
+ * (see {@link SIMILAR_CONFIDENCE}) and the valid other readings of the same digits (e.g. "03.04.05" as yy.mm.dd).
+ * Less certain dates, e.g. a partial date next to a full one, don't compete.
+ * @param {object[]} candidates - The candidates, see {@link extractDateCandidates}
+ * @returns {object[]} - The competing candidates
+ */
+function competingCandidates(candidates) {
+  const dates = candidates.filter(candidate => candidate.valid && !candidate.alternative);
+  const best = Math.max(...dates.map(candidate => candidate.confidence));
+  const competing = dates.filter(candidate => candidate.confidence >= roundConfidence(best - SIMILAR_CONFIDENCE));
+  const readings = competing.flatMap(date => readingsOf(candidates, date).filter(candidate => candidate.valid && candidate.alternative));
+  return [...competing, ...readings];
+}
+
+/**
+ * Get the readings of the same text as a candidate, including the candidate itself
+ * @param {object[]} candidates - The candidates, see {@link extractDateCandidates}
+ * @param {{span: number[]}} candidate - The candidate
+ * @returns {object[]} - The candidates with the same span
+ */
+function readingsOf(candidates, candidate) {
+  return candidates.filter(({ span }) => span.join() === candidate.span.join());
+}
+
+/**
+ * Check whether the competing candidates disagree about the date, see {@link competingCandidates}
+ * @param {object[]} candidates - The candidates, see {@link extractDateCandidates}
+ * @returns {boolean} - Whether there is more than one competing date
+ */
+function isAmbiguous(candidates) {
+  const dates = new Set(competingCandidates(candidates).map(formatCandidateDate));
+  return dates.size > 1;
+}
+
+/**
+ * Pick the candidate with the highest confidence; on a tie, the first one wins
+ * @param {object[]} candidates - The candidates, see {@link extractDateCandidates}
+ * @returns {object|undefined} - The best valid candidate, undefined if there is none
+ */
+function bestCandidate(candidates) {
+  return candidates
+    .filter(candidate => candidate.valid)
+    .reduce((best, candidate) => !best || candidate.confidence > best.confidence ? candidate : best, undefined);
+}
+
+/**
+ * Check the end of a date range: it must be a valid date after the start date
+ * @param {{year: string, month: string, day: string}} start - The start date
+ * @param {{year: string, month: string, day: string}} end - The end date
+ * @param {object} [options] - Options, see {@link isValidDate}
+ * @returns {{year: string, month: string, day: string}|undefined} - The end date or undefined if not valid
+ */
+function validRangeEnd(start, end, options = {}) {
+  if (!isValidDate(end.year, end.month, end.day, options)) return undefined;
+  if (`${end.year}-${end.month}-${end.day}` <= `${start.year}-${start.month}-${start.day}`) return undefined;
+  return end;
+}
+
+/**
+ * Extract date range (e.g., "2022-06-30--07-02", "18.-19.06.2022", "30.06.-02.07.2022", "18-19 Juni 2022",
+ * "30. Dezember 2022 - 2. Januar 2023")
  * @param {string} filename - The filename to extract date from
- * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
+ * @returns {object|null} - Object with year, month, day, end, restOfFilename and matchedPattern or null if no date range found
  */
-function extractDateFromFilename(filename) {
-  // Try each pattern matcher in sequence
-  const patterns = [
-    // TODO: I think the first three could be combined into one pattern
-    extractStandardISODate,  // yyyy-mm-dd
-    extractUnderscoreDate,   // yyyy_mm_dd
-    extractDotSeparatedDate, // yyyy.mm.dd NOTE: must match before extractGermanStyleDate
-    extractGermanStyleDate,  // dd.mm.yyyy
-    extractSingleDigitDate,
-    extractComplexHyphenatedDate,
-    extractGenericHyphenatedDate,
-    extractDateWithMonthName,
-    extractPartialDate
+function extractDateRange(filename, options = {}) {
+  const { months, monthPattern, dayPattern, separatorPattern, rangeWordPattern } = getLocaleTable(options);
+  const to = `\\s*(?:-|[–—]|${rangeWordPattern})\\s*`;
+  
+  // Each matcher returns start and end date from the match, with year, month and day as strings
+  const matchers = [
+    {
+      // Normalized ranges: yyyy-mm-dd--dd, yyyy-mm-dd--mm-dd, yyyy-mm-dd--yyyy-mm-dd (or with " - ", "bis", ...)
+      regex: new RegExp(`(?<!\\d)(\\d{4})-(\\d{2})-(\\d{2})(?:\\s*(?:--|[–—])\\s*|\\s+${rangeWordPattern}\\s+)(?:(?:(\\d{4})-)?(\\d{2})-)?(\\d{2})(?!\\d)`, 'iu'),
+      label: 'ISO Date Range: yyyy-mm-dd--[[yyyy-]mm-]dd',
+      dates: ([, year, month, day, endYear, endMonth, endDay]) => [
+        { year, month, day },
+        { year: endYear ?? year, month: endMonth ?? month, day: endDay }
+      ]
+    },
+    {
+      // dd.mm.yyyy - dd.mm.yyyy, e.g. across years
+      regex: new RegExp(`(?<!\\d)(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4}|\\d{2})${to}(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4}|\\d{2})(?!\\d)`, 'iu'),
+      label: 'German Style Date Range: [d]d.[m]m.[yy]yy-[d]d.[m]m.[yy]yy',
+      dates: ([, day, month, year, endDay, endMonth, endYear]) => [
+        { year: normalizeYear(year, options), month, day },
+        { year: normalizeYear(endYear, options), month: endMonth, day: endDay }
+      ]
+    },
+    {
+      // dd.-dd.mm.yyyy or dd.mm.-dd.mm.yyyy; with a word in between, the start day may do without dot ("18 bis 19.06.2022")
+      regex: new RegExp(`(?<!\\d)(\\d{1,2})(?:\\.(?:(\\d{1,2})\\.)?${to}|\\s+${rangeWordPattern}\\s+)(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4}|\\d{2})(?!\\d)`, 'iu'),
+      label: 'German Style Date Range: [d]d.[[m]m.]-[d]d.[m]m.[yy]yy',
+      dates: ([, day, month, endDay, endMonth, endYear]) => startWithEndYear(day, month, endDay, endMonth, normalizeYear(endYear, options))
+    },
+    {
+      // dd month yyyy - dd month yyyy, e.g. across years
+      regex: new RegExp(`(?<!\\d)${dayPattern}(?:\\.?\\s*|${separatorPattern})${monthPattern}${separatorPattern}(\\d{4})${to}${dayPattern}(?:\\.?\\s*|${separatorPattern})${monthPattern}${separatorPattern}(\\d{4})(?!\\d)`, 'iu'),
+      label: 'Date Range with Month Names: [d]d month yyyy - [d]d month yyyy',
+      dates: ([, day, monthName, year, endDay, endMonthName, endYear]) => [
+        { year, month: months[monthName.toLowerCase()], day },
+        { year: endYear, month: months[endMonthName.toLowerCase()], day: endDay }
+      ]
+    },
+    {
+      // dd-dd month yyyy or dd month - dd month yyyy
+      regex: new RegExp(`(?<!\\d)${dayPattern}(?:(?:\\.?\\s*|${separatorPattern})${monthPattern}|\\.)?${to}${dayPattern}(?:\\.?\\s*|${separatorPattern})${monthPattern}${separatorPattern}(\\d{4})(?!\\d)`, 'iu'),
+      label: 'Date Range with Month Name: [d]d[. month]-[d]d. month yyyy',
+      dates: ([, day, monthName, endDay, endMonthName, endYear]) =>
+        startWithEndYear(day, monthName && months[monthName.toLowerCase()], endDay, months[endMonthName.toLowerCase()], endYear)
+    }
   ];
   
-  for (const patternFn of patterns) {
-    const result = patternFn(filename);
-    if (result) {
-      return result;
+  for (const { regex, label, dates } of matchers) {
+    const match = filename.match(regex);
+    if (!match) continue;
+    
+    const [start, end] = dates(match).map(({ year, month, day }) => ({
+      year,
+      month: month.padStart(2, '0'),
+      day: day.padStart(2, '0')
+    }));
+    
+    // Not a valid range, e.g. "01.-01.06.2022" -> leave it to the other patterns
+    if (!isValidDate(start.year, start.month, start.day, options) || !validRangeEnd(start, end, options)) {
+      continue;
     }
+    
+    const [fullMatch] = match;
+    
+    // Get everything before and after the pattern
+    const beforePattern = filename.substring(0, match.index);
+    const afterPattern = filename.substring(match.index + fullMatch.length);
+    const restOfFilename = beforePattern + afterPattern;
+    
+    return {
+      ...start,
+      end,
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: [match.index, match.index + fullMatch.length],
+      matchedPattern: label
+    };
   }
   
   return null;
 }
 
+/**
+ * Complete the start date of a range that only has the year (and maybe month) at its end date
+ * @param {string} day - Start day
+ * @param {string|undefined} month - Start month, undefined if the same as the end month
+ * @param {string} endDay - End day
+ * @param {string} endMonth - End month
+ * @param {string} endYear - End year, also the start year unless the range crosses the turn of the year
+ * @returns {Array<{year: string, month: string, day: string}>} - Start and end date
+ */
+function startWithEndYear(day, month, endDay, endMonth, endYear) {
+  const startMonth = month ?? endMonth;
+  // e.g. "30.12.-02.01.2023" starts in the previous year
+  const startYear = parseInt(startMonth, 10) > parseInt(endMonth, 10) ? (parseInt(endYear, 10) - 1).toString() : endYear;
+  return [
+    { year: startYear, month: startMonth, day },
+    { year: endYear, month: endMonth, day: endDay }
+  ];
+}
+
 /**
  * Extract standard ISO date (yyyy-mm-dd)
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractStandardISODate(filename) {
+function extractStandardISODate(filename, options = {}) {
   const regex = /(\d{4})-(\d{2})-(\d{2})/; // TODO: ensure no digit before or after
   const match = filename.match(regex);
   
@@ -296,7 +4108,10 @@ function extractStandardISODate(filename) {
           year, 
           month, 
           day, 
-          restOfFilename: cleanupFilename(restOfFilename),
+          // Not a valid end of a range (e.g. "2022-06-18-01") -> only drop it
+          end: validRangeEnd({ year, month, day }, { year, month, day: rangeMatch[1].padStart(2, '0') }, options),
+          restOfFilename: cleanupFilename(restOfFilename, options),
+          span: spanOf(filename, rangePattern),
           matchedPattern: 'Standard ISO Date with Range: yyyy-mm-dd-dd'
         };
       }
@@ -311,7 +4126,8 @@ function extractStandardISODate(filename) {
       year, 
       month, 
       day, 
-      restOfFilename: cleanupFilename(restOfFilename),
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: spanOf(filename, fullMatch),
       matchedPattern: 'Standard ISO Date: yyyy-mm-dd'
     };
   }
@@ -321,17 +4137,28 @@ function extractStandardISODate(filename) {
 /**
  * Extract German style date (dd.mm.yyyy or dd.mm.yy)
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractGermanStyleDate(filename) {
+function extractGermanStyleDate(filename, options = {}) {
   const regex = /(\d{1,2})\.(\d{1,2})\.(\d{2,4})/;  // TODO: ensure no digit before or after
   const match = filename.match(regex);
   
   if (match) {
     let [fullMatch, day, month, year] = match;
+    const shortYear = year.length === 2;
+    
+    // "03.04.05" could also be yy.mm.dd or (US style) mm.dd.yy
+    const alternatives = [];
+    if (shortYear && day.length === 2 && month.length === 2) {
+      alternatives.push(
+        { year: normalizeYear(day, options), month, day: year, reason: 'read as yy.mm.dd' },
+        { year: normalizeYear(year, options), month: day, day: month, reason: 'read as US style mm.dd.yy' }
+      );
+    }
     
     // Ensure 4-digit year
-    year = normalizeYear(year);
+    year = normalizeYear(year, options);
     
     // Ensure 2-digit month and day with leading zeros
     day = day.padStart(2, '0');
@@ -346,8 +4173,11 @@ function extractGermanStyleDate(filename) {
       year, 
       month, 
       day, 
-      restOfFilename: cleanupFilename(restOfFilename),
-      matchedPattern: 'German Style Date: [d]d.[m]m.[yy]yy'
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: spanOf(filename, fullMatch),
+      matchedPattern: 'German Style Date: [d]d.[m]m.[yy]yy',
+      ...(shortYear && { shortYear }),
+      ...(alternatives.length > 0 && { alternatives })
     };
   }
   return null;
@@ -356,9 +4186,10 @@ function extractGermanStyleDate(filename) {
 /**
  * Extract single digit date (yyyy-m-d)
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractSingleDigitDate(filename) {
+function extractSingleDigitDate(filename, options = {}) {
   // This regex matches yyyy-m-d where m and d can be single digits
   const regex = /(\d{4})-(\d{1,2})-(\d{1,2})/; // TODO: ensure no digit before or after
   const match = filename.match(regex);
@@ -370,6 +4201,12 @@ function extractSingleDigitDate(filename) {
     const paddedMonth = month.padStart(2, '0');
     const paddedDay = day.padStart(2, '0');
     
+    // Without zero padding, "2023-1-2" might as well be yyyy-d-m
+    const alternatives = [];
+    if ((month.length === 1 || day.length === 1) && paddedMonth !== paddedDay) {
+      alternatives.push({ year, month: paddedDay, day: paddedMonth, reason: 'read as yyyy-d-m' });
+    }
+    
     // Get everything before and after the pattern
     const beforePattern = filename.substring(0, filename.indexOf(fullMatch));
     const afterPattern = filename.substring(filename.indexOf(fullMatch) + fullMatch.length);
@@ -379,8 +4216,10 @@ function extractSingleDigitDate(filename) {
       year, 
       month: paddedMonth, 
       day: paddedDay, 
-      restOfFilename: cleanupFilename(restOfFilename),
-      matchedPattern: 'Single Digit Date: yyyy-[m]m-d[d]'
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: spanOf(filename, fullMatch),
+      matchedPattern: 'Single Digit Date: yyyy-[m]m-d[d]',
+      ...(alternatives.length > 0 && { alternatives })
     };
   }
   return null;
@@ -389,12 +4228,14 @@ function extractSingleDigitDate(filename) {
 /**
  * Extract complex hyphenated date (e.g., "24-September-22-2022")
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractComplexHyphenatedDate(filename) {
+function extractComplexHyphenatedDate(filename, options = {}) {
   // This regex matches patterns like "24-September-22-2022" or "14-Jan-23"
-  // Only match month names from our list
-  const regex = new RegExp(`(\\d{1,2})-(${MONTH_NAMES_PATTERN})(?:-(\\d{2}))?(?:-(\\d{4}))?`, 'i'); // TODO: ensure no digit before or after
+  // Only match month names from the selected locales
+  const { months, monthPattern } = getLocaleTable(options);
+  const regex = new RegExp(`(\\d{1,2})-${monthPattern}(?:-(\\d{2}))?(?:-(\\d{4}))?`, 'iu'); // TODO: ensure no digit before or after
   const match = filename.match(regex);
   
   if (match) {
@@ -402,19 +4243,19 @@ function extractComplexHyphenatedDate(filename) {
     const monthLower = monthName.toLowerCase();
     
     // Check if the month name is valid
-    if (GERMAN_MONTHS[monthLower]) {
-      const month = GERMAN_MONTHS[monthLower];
+    if (months[monthLower]) {
+      const month = months[monthLower];
       const paddedDay = day.padStart(2, '0');
       
       // Determine the year
-      let year;
+      let year, yearSource;
       if (fullYear) {
         year = fullYear;
       } else if (shortYear) {
-        year = normalizeYear(shortYear);
+        year = normalizeYear(shortYear, options);
       } else {
-        // If no year is found, use the current year
-        year = currentYear.toString();
+        // If no year is found, infer it
+        ({ year, source: yearSource } = inferYear(month, paddedDay, options));
       }
       
       // Get everything before and after the pattern
@@ -426,8 +4267,11 @@ function extractComplexHyphenatedDate(filename) {
         year, 
         month, 
         day: paddedDay, 
-        restOfFilename: cleanupFilename(restOfFilename),
-        matchedPattern: 'Hyphenated Date with month name: [d]d-month-yy-yyyy'
+        restOfFilename: cleanupFilename(restOfFilename, options),
+        span: spanOf(filename, fullMatch),
+        matchedPattern: 'Hyphenated Date with month name: [d]d-month-yy-yyyy',
+        ...(!fullYear && shortYear && { shortYear: true }),
+        ...(!fullYear && !shortYear && { yearGuessed: true, yearSource })
       };
     }
   }
@@ -437,27 +4281,29 @@ function extractComplexHyphenatedDate(filename) {
 /**
  * Extract generic hyphenated date patterns like "dd-mon-yy" or "dd-mon-yyyy"
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractGenericHyphenatedDate(filename) {
+function extractGenericHyphenatedDate(filename, options = {}) {
   // This regex matches any pattern with numbers and text separated by hyphens
-  // Only match month names from our list
-  const regex = new RegExp(`(\d{1,2})-(${MONTH_NAMES_PATTERN})-(\d{2,4})`, 'i'); // TODO: ensure no digit before or after
-  const matches = [...filename.matchAll(new RegExp(regex, 'gi'))];
+  // Only match month names from the selected locales
+  const { months, monthPattern } = getLocaleTable(options);
+  const regex = new RegExp(`(\\d{1,2})-${monthPattern}-(\\d{2,4})`, 'iu'); // TODO: ensure no digit before or after
+  const matches = [...filename.matchAll(new RegExp(regex, 'giu'))];
   
   for (const match of matches) {
     const [fullMatch, possibleDay, possibleMonth, possibleYear] = match;
     
     // Check if the month name is valid
     const monthLower = possibleMonth.toLowerCase();
-    if (GERMAN_MONTHS[monthLower]) {
-      const month = GERMAN_MONTHS[monthLower];
+    if (months[monthLower]) {
+      const month = months[monthLower];
       const day = possibleDay.padStart(2, '0');
       
       // Determine the year
       let year = possibleYear;
       if (year.length === 2) {
-        year = normalizeYear(year);
+        year = normalizeYear(year, options);
       }
       
       // Get everything before and after the pattern
@@ -469,20 +4315,22 @@ function extractGenericHyphenatedDate(filename) {
         year, 
         month, 
         day, 
-        restOfFilename: cleanupFilename(restOfFilename),
-        matchedPattern: 'Hyphenated Date with month name: [d]d-month-[yy]yy'
+        restOfFilename: cleanupFilename(restOfFilename, options),
+        span: spanOf(filename, fullMatch),
+        matchedPattern: 'Hyphenated Date with month name: [d]d-month-[yy]yy',
+        ...(possibleYear.length === 2 && { shortYear: true })
       };
     }
   }
   
-  const germanMonthRegex = new RegExp(`(\\d{1,2})\s*(${MONTH_NAMES_PATTERN})\s*(\\d{2,4})`, 'i'); // TODO: ensure no digit before or after
-  const germanMatch = filename.match(germanMonthRegex);
+  const monthNameRegex = new RegExp(`(\\d{1,2})\\s*${monthPattern}\\s*(\\d{2,4})`, 'iu'); // TODO: ensure no digit before or after
+  const germanMatch = filename.match(monthNameRegex);
   if (germanMatch) {
     const [fullMatch, day, monthName, year] = germanMatch;
     const monthLower = monthName.toLowerCase();
     
-    if (GERMAN_MONTHS[monthLower]) {
-      const month = GERMAN_MONTHS[monthLower];
+    if (months[monthLower]) {
+      const month = months[monthLower];
       const paddedDay = day.padStart(2, '0');
       
       // Get everything before and after the pattern
@@ -491,11 +4339,13 @@ function extractGenericHyphenatedDate(filename) {
       const restOfFilename = beforePattern + afterPattern;
       
       return { 
-        year: normalizeYear(year),
+        year: normalizeYear(year, options),
         month, 
         day: paddedDay, 
-        restOfFilename: cleanupFilename(restOfFilename),
-        matchedPattern: 'German Month Year Pattern: [d]d month [yy]yy'
+        restOfFilename: cleanupFilename(restOfFilename, options),
+        span: spanOf(filename, fullMatch),
+        matchedPattern: 'Day Month Name Year Pattern: [d]d month [yy]yy',
+        ...(year.length === 2 && { shortYear: true })
       };
     }
   }
@@ -506,12 +4356,14 @@ function extractGenericHyphenatedDate(filename) {
 /**
  * Extract date with month name (e.g., "25 Oktober 2020" or "April 2021")
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractDateWithMonthName(filename) {
-  // Try to match full date with day, month name, and year
-  // Only match month names from our list
-  let regex = new RegExp(`(\\d{1,2})[\\s.-]+(${MONTH_NAMES_PATTERN})[\\s.-]+(\\d{2,4})`, 'i'); // TODO: ensure no digit before or after
+function extractDateWithMonthName(filename, options = {}) {
+  // Try to match full date with day, month name, and year, e.g. also "10th of March, 2023"
+  // Only match month names from the selected locales
+  const { months, monthPattern, dayPattern, separatorPattern } = getLocaleTable(options);
+  let regex = new RegExp(`${dayPattern}${separatorPattern}${monthPattern}${separatorPattern}(\\d{2,4})`, 'iu'); // TODO: ensure no digit before or after
   let match = filename.match(regex);
   
   if (match) {
@@ -519,8 +4371,8 @@ function extractDateWithMonthName(filename) {
     const monthLower = monthName.toLowerCase();
     
     // Check if the month name is valid
-    if (GERMAN_MONTHS[monthLower]) {
-      const month = GERMAN_MONTHS[monthLower];
+    if (months[monthLower]) {
+      const month = months[monthLower];
       // Ensure 2-digit day with leading zero
       day = day.padStart(2, '0');
       
@@ -530,18 +4382,20 @@ function extractDateWithMonthName(filename) {
       const restOfFilename = beforePattern + afterPattern;
       
       return { 
-        year: normalizeYear(year),
+        year: normalizeYear(year, options),
         month, 
         day, 
-        restOfFilename: cleanupFilename(restOfFilename),
-        matchedPattern: 'Date with Month Name and Day: [d]d month [yy]yy'
+        restOfFilename: cleanupFilename(restOfFilename, options),
+        span: spanOf(filename, fullMatch),
+        matchedPattern: 'Date with Month Name and Day: [d]d month [yy]yy',
+        ...(year.length === 2 && { shortYear: true })
       };
     }
   }
   
   // Try to match date with just month name and year (e.g., "April 2021")
-  // Only match month names from our list
-  regex = new RegExp(`(${MONTH_NAMES_PATTERN})[\s.-]+(\\d{4})`, 'i'); // TODO: ensure no digit after
+  // Only match month names from the selected locales
+  regex = new RegExp(`${monthPattern}[\\s.-]+(\\d{4})`, 'iu'); // TODO: ensure no digit after
   match = filename.match(regex);
   
   if (match) {
@@ -549,9 +4403,9 @@ function extractDateWithMonthName(filename) {
     const monthLower = monthName.toLowerCase();
     
     // Check if the month name is valid
-    if (GERMAN_MONTHS[monthLower]) {
-      const month = GERMAN_MONTHS[monthLower];
-      // Use "01" as the day when only month and year are provided
+    if (months[monthLower]) {
+      const month = months[monthLower];
+      // The first day of the month, only used if asked for (see formatFilename())
       const day = "01";
       
       // Get everything before and after the pattern
@@ -563,8 +4417,11 @@ function extractDateWithMonthName(filename) {
         year, 
         month, 
         day, 
-        restOfFilename: cleanupFilename(restOfFilename),
-        matchedPattern: 'Date with Month Name Only: month yyyy'
+        restOfFilename: cleanupFilename(restOfFilename, options),
+        span: spanOf(filename, fullMatch),
+        matchedPattern: 'Date with Month Name Only: month yyyy',
+        precision: 'month',
+        period: { year, label: month }
       };
     }
   }
@@ -572,12 +4429,50 @@ function extractDateWithMonthName(filename) {
   return null;
 }
 
+/**
+ * Extract date with the month name first (e.g., "Sep 10", "March 3rd, 2024"), for locales writing dates this way
+ * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
+ * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
+ */
+function extractMonthFirstDate(filename, options = {}) {
+  const { months, monthFirstPattern, dayPattern } = getLocaleTable(options);
+  const regex = new RegExp(`${monthFirstPattern}[\\s.-]+${dayPattern}(?!\\d)(?:[\\s.,-]+(\\d{4})(?!\\d))?`, 'iu');
+  const match = filename.match(regex);
+  
+  if (match) {
+    const [fullMatch, monthName, dayText, year] = match;
+    const month = months[monthName.toLowerCase()];
+    const day = dayText.padStart(2, '0');
+    
+    // Get everything before and after the pattern
+    const beforePattern = filename.substring(0, filename.indexOf(fullMatch));
+    const afterPattern = filename.substring(filename.indexOf(fullMatch) + fullMatch.length);
+    const restOfFilename = beforePattern + afterPattern;
+    
+    // If no year is found, infer it
+    const inferred = !year && inferYear(month, day, options);
+    
+    return { 
+      year: year ?? inferred.year, 
+      month, 
+      day, 
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: spanOf(filename, fullMatch),
+      matchedPattern: 'Date with Month Name First: month [d]d[, yyyy]',
+      ...(inferred && { yearGuessed: true, yearSource: inferred.source })
+    };
+  }
+  return null;
+}
+
 /**
  * Extract underscore separated date (e.g., "Protokoll_2022_06_12.docx")
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractUnderscoreDate(filename) {
+function extractUnderscoreDate(filename, options = {}) {
   const regex = /(\d{4})_(\d{2})_(\d{2})/; // TODO: ensure no digit before or after
   const match = filename.match(regex);
   
@@ -593,19 +4488,144 @@ function extractUnderscoreDate(filename) {
       year, 
       month, 
       day, 
-      restOfFilename: cleanupFilename(restOfFilename),
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: spanOf(filename, fullMatch),
       matchedPattern: 'Underscore Separated Date: yyyy_mm_dd'
     };
   }
   return null;
 }
 
+/**
+ * Extract compact date without separators (e.g., "IMG_20230710_143005.jpg", "Scan_20240229.pdf").
+ * Only plausible dates (years in the valid range, see {@link isYearInRange}, months 01-12, days 01-31) not surrounded
+ * by other digits are matched, so that other long numbers (e.g. invoice numbers) are not taken for dates.
+ * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
+ * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
+ */
+function extractCompactDate(filename, options = {}) {
+  const regex = /(?<!\d)(\d{4})(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])(?!\d)/g;
+  const match = [...filename.matchAll(regex)].find(([, year]) => isYearInRange(year, options));
+  
+  if (match) {
+    const [fullMatch, year, month, day] = match;
+    const restOfFilename = filename.substring(0, match.index) + filename.substring(match.index + fullMatch.length);
+    
+    return {
+      year,
+      month,
+      day,
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: [match.index, match.index + fullMatch.length],
+      matchedPattern: 'Compact Date: yyyymmdd'
+    };
+  }
+  return null;
+}
+
+/**
+ * Extract ISO week (e.g., "2024-W12", "Projekt KW 12 2024.pdf", "Report CW12-2024.pdf", "2024 KW 12")
+ * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
+ * @returns {object|null} - Object with year, month, day (Monday of the week), precision, period, restOfFilename
+ *                          and matchedPattern or null if no week found
+ */
+function extractWeekDate(filename, options = {}) {
+  const { weekPattern } = getLocaleTable(options);
+  const regex = new RegExp(
+    `(?<!\\d)(\\d{4})-?W(\\d{2})(?!\\d)` +
+    `|${weekPattern}[\\s._-]*(\\d{1,2})[\\s._/-]+(\\d{4})(?!\\d)` +
+    `|(?<!\\d)(\\d{4})[\\s._/-]+${weekPattern}[\\s._-]*(\\d{1,2})(?!\\d)`,
+    'iu'
+  );
+  const match = regex.exec(filename);
+  if (!match) return null;
+  
+  const year = match[1] ?? match[4] ?? match[5];
+  const week = (match[2] ?? match[3] ?? match[6]).padStart(2, '0');
+  const monday = isoWeekStart(year, week);
+  if (!monday) {
+    options.trace?.push({ step: 'isoWeekStart', input: `${year}-W${week}`, output: null, reason: `${year} has no week ${week}` });
+    return null;
+  }
+  
+  const restOfFilename = filename.substring(0, match.index) + filename.substring(match.index + match[0].length);
+  return {
+    ...monday,
+    restOfFilename: cleanupFilename(restOfFilename, options),
+    span: [match.index, match.index + match[0].length],
+    matchedPattern: 'ISO Week: yyyy-Www, KW ww yyyy',
+    precision: 'week',
+    period: { year, label: `W${week}` }
+  };
+}
+
+/**
+ * Get the first day (Monday) of an ISO 8601 week; week 1 is the week with the first Thursday of the year
+ * @param {string} year - The (ISO week-numbering) year
+ * @param {string} week - The week
+ * @returns {{year: string, month: string, day: string}|null} - The Monday, null if the year has no such week
+ */
+function isoWeekStart(year, week) {
+  const january4 = new Date(Date.UTC(Number(year), 0, 4));
+  const monday = new Date(january4);
+  monday.setUTCDate(4 - (january4.getUTCDay() + 6) % 7 + (Number(week) - 1) * 7);
+  
+  // The Thursday of the week decides its year; week 53 only exists in some years
+  const thursday = new Date(monday);
+  thursday.setUTCDate(monday.getUTCDate() + 3);
+  if (Number(week) < 1 || thursday.getUTCFullYear() !== Number(year)) return null;
+  
+  return {
+    year: monday.getUTCFullYear().toString(),
+    month: (monday.getUTCMonth() + 1).toString().padStart(2, '0'),
+    day: monday.getUTCDate().toString().padStart(2, '0')
+  };
+}
+
+/**
+ * Extract quarter (e.g., "2023-Q3", "Bilanz Q3 2023.xlsx", "3. Quartal 2023", "3rd quarter 2023")
+ * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
+ * @returns {object|null} - Object with year, month, day (first day of the quarter), precision, period,
+ *                          restOfFilename and matchedPattern or null if no quarter found
+ */
+function extractQuarterDate(filename, options = {}) {
+  const { quarterPattern, ordinalPattern } = getLocaleTable(options);
+  const regex = new RegExp(
+    `(?<!\\d)(\\d{4})[\\s._-]*Q([1-4])(?!\\d)` +
+    `|(?<![\\p{L}\\d])Q([1-4])[\\s._/-]*(\\d{4})(?!\\d)` +
+    `|(?<!\\d)([1-4])(?:\\.|${ordinalPattern})?\\s*${quarterPattern}[\\s._/-]*(\\d{4})(?!\\d)` +
+    `|${quarterPattern}[\\s._-]*([1-4])[\\s._/-]+(\\d{4})(?!\\d)`,
+    'iu'
+  );
+  const match = regex.exec(filename);
+  if (!match) return null;
+  
+  const year = match[1] ?? match[4] ?? match[6] ?? match[8];
+  const quarter = match[2] ?? match[3] ?? match[5] ?? match[7];
+  const restOfFilename = filename.substring(0, match.index) + filename.substring(match.index + match[0].length);
+  
+  return {
+    year,
+    month: ((quarter - 1) * 3 + 1).toString().padStart(2, '0'),
+    day: '01',
+    restOfFilename: cleanupFilename(restOfFilename, options),
+    span: [match.index, match.index + match[0].length],
+    matchedPattern: 'Quarter: yyyy-Qq, Qq yyyy',
+    precision: 'quarter',
+    period: { year, label: `Q${quarter}` }
+  };
+}
+
 /**
  * Extract dot separated date (e.g., "Protokoll_2024.09.29.docx")
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractDotSeparatedDate(filename) {
+function extractDotSeparatedDate(filename, options = {}) {
   const regex = /(\d{4})\.(\d{2})\.(\d{2})/; // TODO: ensure no digit before or after
   const match = filename.match(regex);
   
@@ -621,7 +4641,8 @@ function extractDotSeparatedDate(filename) {
       year, 
       month, 
       day, 
-      restOfFilename: cleanupFilename(restOfFilename),
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: spanOf(filename, fullMatch),
       matchedPattern: 'Dot Separated Date: yyyy.mm.dd'
     };
   }
@@ -631,20 +4652,22 @@ function extractDotSeparatedDate(filename) {
 /**
  * Extract partial date (e.g., "26.7. 2020" or "9.5.")
  * @param {string} filename - The filename to extract date from
+ * @param {object} [options] - Options, see {@link extractDateFromFilename}
  * @returns {object|null} - Object with year, month, day, restOfFilename and matchedPattern or null if no date found
  */
-function extractPartialDate(filename) {
-  // Match patterns like "26.7. 2020" or "9.5."
-  const regex = /(\d{1,2})\.(\d{1,2})\.(?:\s+(\d{4}))?/; // TODO: ensure no digit before or after
+function extractPartialDate(filename, options = {}) {
+  // Match patterns like "26.7. 2020" or "9.5.", but not parts of version or other numbers like "v1.2.3"
+  const regex = /(?<![\p{L}\d.])(\d{1,2})\.(\d{1,2})\.(?!\d)(?:\s+(\d{4}))?/u;
   const match = filename.match(regex);
   
   if (match) {
     let [fullMatch, day, month, year] = match;
+    let yearSource;
     
     // If year is not provided, try to find it elsewhere in the filename
     if (!year) {
-      const yearRegex = /\b(19\d{2}|20\d{2})\b/;
-      const yearMatch = filename.match(yearRegex);
+      const yearRegex = /\b(\d{4})\b/g;
+      const yearMatch = [...filename.matchAll(yearRegex)].find(([, year]) => isYearInRange(year, options));
       if (yearMatch) {
         year = yearMatch[1];
         
@@ -664,12 +4687,10 @@ function extractPartialDate(filename) {
           year, 
           month, 
           day, 
-          restOfFilename: cleanupFilename(restOfFilename),
+          restOfFilename: cleanupFilename(restOfFilename, options),
+          span: spanOf(filename, fullMatch),
           matchedPattern: 'Partial Date with Year Elsewhere'
         };
-      } else {
-        // Default to current year if no year found
-        year = currentYear.toString();
       }
     }
     
@@ -677,6 +4698,11 @@ function extractPartialDate(filename) {
     day = day.padStart(2, '0');
     month = month.padStart(2, '0');
     
+    // Infer the year if none was found
+    if (!year) {
+      ({ year, source: yearSource } = inferYear(month, day, options));
+    }
+    
     // Get everything before and after the pattern
     const beforePattern = filename.substring(0, filename.indexOf(fullMatch));
     const afterPattern = filename.substring(filename.indexOf(fullMatch) + fullMatch.length);
@@ -686,21 +4712,24 @@ function extractPartialDate(filename) {
       year, 
       month, 
       day, 
-      restOfFilename: cleanupFilename(restOfFilename),
-      matchedPattern: 'Partial Date'
+      restOfFilename: cleanupFilename(restOfFilename, options),
+      span: spanOf(filename, fullMatch),
+      matchedPattern: 'Partial Date',
+      ...(yearSource && { yearGuessed: true, yearSource })
     };
   }
   
   // Special case for "KG-Treffen 17. Mai 2020, Kleingruppe 1 Süd-West.doc"
-  const specialRegex = new RegExp(`(\\d{1,2})\\. (${MONTH_NAMES_PATTERN}) (\\d{4})`, 'i');
+  const { months, monthPattern } = getLocaleTable(options);
+  const specialRegex = new RegExp(`(\\d{1,2})\\. ${monthPattern} (\\d{4})`, 'iu');
   const specialMatch = filename.match(specialRegex);
   
   if (specialMatch) {
     const [fullMatch, day, monthName, year] = specialMatch;
     const monthLower = monthName.toLowerCase();
     
-    if (GERMAN_MONTHS[monthLower]) {
-      const month = GERMAN_MONTHS[monthLower];
+    if (months[monthLower]) {
+      const month = months[monthLower];
       const paddedDay = day.padStart(2, '0');
       
       // Get everything before and after the pattern
@@ -712,7 +4741,8 @@ function extractPartialDate(filename) {
         year, 
         month, 
         day: paddedDay, 
-        restOfFilename: cleanupFilename(restOfFilename),
+        restOfFilename: cleanupFilename(restOfFilename, options),
+        span: spanOf(filename, fullMatch),
         matchedPattern: 'Special Case: Day. Month Year'
       };
     }
@@ -722,19 +4752,41 @@ function extractPartialDate(filename) {
 }
 
 /**
- * Clean up the filename by removing extra separators and spaces
+ * Get the position of the matched text in the filename
+ * @param {string} filename - The filename
+ * @param {string} matchedText - The text matched by a pattern
+ * @returns {number[]} - Start and end index of (the first occurrence of) the text
+ */
+function spanOf(filename, matchedText) {
+  const start = filename.indexOf(matchedText);
+  return [start, start + matchedText.length];
+}
+
+// Steps of cleanupFilename(), in order
+const CLEANUP_STEPS = [
+  { regex: /^[.\-_\s]+/, replacement: '', description: 'Remove leading separators and spaces' },
+  { regex: /[.\-_\s]+$/, replacement: '', description: 'Remove trailing separators and spaces' },
+  { regex: /\s+,/g, replacement: ',', description: 'Remove spaces before a comma' },
+  { regex: /\s+/g, replacement: ' ', description: 'Replace multiple spaces with a single space' },
+  { regex: /_{2,}/g, replacement: '_', description: 'Replace multiple underscores with a single underscore' },
+  { regex: /-{2,}/g, replacement: '-', description: 'Replace multiple hyphens with a single hyphen' },
+  { regex: /[\s\-_]+\./g, replacement: '.', description: 'Remove spaces, hyphen, underscores before file extension' }
+];
+
+/**
+ * Clean up the filename by removing extra separators and spaces, see {@link CLEANUP_STEPS}
  * @param {string} filename - The filename to clean up
+ * @param {object} [options] - Options, the steps that changed something are added to `options.trace` (if set)
  * @returns {string} - The cleaned up filename
  */
-function cleanupFilename(filename) {
-  return filename
-    .replace(/^[.\-_\s]+/, '') // Remove leading separators and spaces
-    .replace(/[.\-_\s]+$/, '') // Remove trailing separators and spaces
-    .replace(/\s+,/g, ',') // Remove spaces before a comma
-    .replace(/\s+/g, ' ') // Replace multiple spaces with a single space
-    .replace(/_{2,}/g, '_') // Replace multiple underscores with a single underscore
-    .replace(/-{2,}/g, '-') // Replace multiple hyphens with a single hyphen
-    .replace(/[\s\-_]+\./g, '.') // Remove spaces, hyphen, underscores before file extension
+function cleanupFilename(filename, options = {}) {
+  return CLEANUP_STEPS.reduce((result, { regex, replacement, description }) => {
+    const cleaned = result.replace(regex, replacement);
+    if (cleaned !== result) {
+      options.trace?.push({ step: 'cleanupFilename', input: result, output: cleaned, reason: description });
+    }
+    return cleaned;
+  }, filename);
 }
 
 /**
@@ -742,32 +4794,88 @@ function cleanupFilename(filename) {
  * @param {string} year - The year
  * @param {string} month - The month
  * @param {string} day - The day
+ * @param {object} [options] - Options, see {@link getLatestDate}, `options.minYear` is the earliest valid year (default: 1900);
+ *                             the result is added to `options.trace` (if set)
  * @returns {boolean} - Whether the date is valid
  */
-function isValidDate(year, month, day) {
+function isValidDate(year, month, day, options = {}) {
+  const invalid = reason => {
+    options.trace?.push({ step: 'isValidDate', input: `${year}-${month}-${day}`, output: false, reason });
+    return false;
+  };
+  
   // Check that year, month, and day are valid numbers
   const y = parseInt(year, 10);
   const m = parseInt(month, 10) - 1; // JS months are 0-11
   const d = parseInt(day, 10);
   
   if (isNaN(y) || isNaN(m) || isNaN(d)) {
-    return false;
+    return invalid('not a number');
   }
   
   // Check ranges
-  if (y < 1900 || y > currentYear || m < 0 || m > 11 || d < 1 || d > 31) {
-    return false;
+  const minYear = options.minYear ?? 1900;
+  if (y < minYear) {
+    return invalid(`year before ${minYear}`);
+  }
+  if (m < 0 || m > 11 || d < 1 || d > 31) {
+    return invalid(m < 0 || m > 11 ? 'no such month' : 'no such day');
   }
   
   // Create a date object and check if the date is valid
   const date = new Date(y, m, d);
-  return date.getFullYear() === y && 
-         date.getMonth() === m && 
-         date.getDate() === d;
+  if (date.getFullYear() !== y || date.getMonth() !== m || date.getDate() !== d) {
+    return invalid('no such day in this month');
+  }
+  
+  // Not too far in the future
+  if (date > getLatestDate(options)) {
+    return invalid(options.allowFuture !== undefined ? `more than ${options.allowFuture} in the future` : `year after ${getCurrentYear(options)}`);
+  }
+  
+  options.trace?.push({ step: 'isValidDate', input: `${year}-${month}-${day}`, output: true });
+  return true;
+}
+
+export {
+  LOCALES,
+  extractDateFromFilename,
+  extractDateCandidates,
+  explainFilename,
+  isValidDate,
+  cleanupFilename,
+  extractDateFromContent,
+  formatFilename,
+  validateTemplate,
+  planRenames,
+  applyRenames,
+  listDirectories,
+  createJournal,
+  undoRun
+};
+
+/**
+ * Check whether this module is executed directly (and not imported)
+ * @returns {boolean} - Whether the script was started from the command line
+ */
+function isExecutedDirectly() {
+  if (!process.argv[1]) return false;
+  try {
+    // resolve symlinks, e.g. when the script is linked into a directory in the path
+    return realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url));
+  } catch (error) {
+    return false;
+  }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+// Run the main function only when used as command line tool
+if (isExecutedDirectly()) {
+  main().catch(error => {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      process.exit(2);
+    }
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,59 @@
+// Regression checks for names that were normalized wrongly before, run with `node test/regression.mjs`
+import assert from 'assert';
+import { extractDateFromFilename, formatFilename } from '../normalize-filename-dates.mjs';
+
+const referenceDate = new Date(2025, 5, 1);
+
+/**
+ * Normalize a name like the command line does, `null` if it is left alone.
+ * 
+ * @param {string} filename - The name to normalize
+ * @param {object} [options] - Options for {@link extractDateFromFilename} and {@link formatFilename}
+ * @returns {string|null} - The new name or `null` if no date was found or the date is ambiguous
+ */
+function normalize(filename, options = {}) {
+  const result = extractDateFromFilename(filename, { referenceDate, ...options });
+  if (!result || (result.ambiguous && options.ambiguous !== 'best')) {
+    return null;
+  }
+  return formatFilename(filename, result, options);
+}
+
+const cases = [
+  // Range words of each locale, with and without a dot after the start day
+  ['18 bis 19.06.2022 Retreat.docx', { locales: ['de'] }, '2022-06-18--19 Retreat.docx'],
+  ['18. bis 19.06.2022 Retreat.docx', { locales: ['de'] }, '2022-06-18--19 Retreat.docx'],
+  ['Retreat 18. bis 19. Juni 2022.docx', { locales: ['de'] }, '2022-06-18--19 Retreat.docx'],
+  ['Trip 18 to 19 June 2022.docx', { locales: ['en'] }, '2022-06-18--19 Trip.docx'],
+  ['Trip 18 until 19.06.2022.docx', { locales: ['en'] }, '2022-06-18--19 Trip.docx'],
+  ['Trip 18 till 19 June 2022.docx', { locales: ['en'] }, '2022-06-18--19 Trip.docx'],
+  ['Reunion 18 au 19 juin 2022.docx', { locales: ['fr'] }, '2022-06-18--19 Reunion.docx'],
+  ['Reis 18 tot 19.06.2022.docx', { locales: ['nl'] }, '2022-06-18--19 Reis.docx'],
+  ['Congreso 18 al 19 de junio de 2022.docx', { locales: ['es'] }, '2022-06-18--19 Congreso.docx'],
+  ['Congreso 18 hasta 19.06.2022.docx', { locales: ['es'] }, '2022-06-18--19 Congreso.docx'],
+  // A number before a date is no range without dash or range word
+  ['Nr 18 19.06.2022.docx', { locales: ['de'] }, '2022-06-19 Nr 18.docx'],
+  // A time of day only moves behind the date when asked for
+  ['Notes 2023-07-10 14-30.txt', {}, '2023-07-10 Notes 14-30.txt'],
+  ['IMG_20230710_143005.jpg', {}, '2023-07-10 IMG_143005.jpg'],
+  ['IMG_20230710_143005.jpg', { time: 'keep' }, '2023-07-10 14-30 IMG.jpg'],
+  ['IMG_20230710_143005.jpg', { template: '{yyyy}-{mm}-{dd}{time} {rest}{ext}' }, '2023-07-10 14-30 IMG.jpg'],
+  ['IMG_20230710_143005.jpg', { time: 'drop' }, '2023-07-10 IMG.jpg'],
+  // A 2-digit year in the future is 1927 by default, which competes with the reading as yy.mm.dd
+  ['Agenda 15.01.27.docx', {}, null],
+  ['Agenda 15.01.27.docx', { allowFuture: '2y' }, null],
+  ['Agenda 15.01.27.docx', { allowFuture: '2y', ambiguous: 'best' }, '2027-01-15 Agenda.docx']
+];
+
+let failed = 0;
+for (const [filename, options, expected] of cases) {
+  try {
+    assert.strictEqual(normalize(filename, options), expected);
+  } catch (error) {
+    failed++;
+    console.error(`Check failed for ${filename}: ${error.message}`);
+  }
+}
+
+console.log(`${cases.length - failed} of ${cases.length} checks passed`);
+process.exitCode = failed > 0 ? 1 : 0;